@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { InteractionRequiredAuthError } from '@azure/msal-browser';
 import { useMsal } from '@azure/msal-react';
 import {
@@ -10,19 +10,34 @@ import {
 } from './authConfig.js';
 import { createGraphClient } from './graphClient.js';
 import {
+  createStream,
+  DEFAULT_MAX_DEPTH,
   extractTextFromBuffer,
-  extractTextFromFile,
-  extractTextFromHtml
+  identifyFileType,
+  extractTextFromHtml,
+  getStreamLabel,
+  LOW_OCR_CONFIDENCE,
+  SUPPORTED_EXTENSIONS
 } from './extractors.js';
 import {
   aggregateClassificationResults,
+  applyConfidenceThreshold,
   buildGraphClassificationResults,
-  detectSensitiveInfo,
-  evaluateSitDetectors,
+  CONFIDENCE_LEVELS,
   findInvalidDetectors,
+  findReducedFidelityDetectors,
+  findUnknownFunctions,
   getSampleDetectors
 } from './classification.js';
+import { classifyInWorkers, DEFAULT_RULE_TIME_BUDGET_MS } from './classificationPool.js';
+import { TEXT_ENCODINGS } from './charsetDetector.js';
 import { parseRulePackXml } from './rulePackParser.js';
+import {
+  getRecommendedLabels,
+  parseLabelHeader,
+  resolveSensitivityLabels,
+  toLabelMetadata
+} from './sensitivityLabels.js';
 
 const formatJson = (value) => JSON.stringify(value, null, 2);
 
@@ -161,6 +176,254 @@ const SourceOption = ({ id, label, description, selected, disabled, onSelect })
   </button>
 );
 
+// [1, 2, 3, 5] -> '1-3, 5'
+const formatPageRanges = (pageNumbers) => pageNumbers
+  .reduce((ranges, pageNumber) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === pageNumber - 1) {
+      last[1] = pageNumber;
+    } else {
+      ranges.push([pageNumber, pageNumber]);
+    }
+    return ranges;
+  }, [])
+  .map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`))
+  .join(', ');
+
+// image/* and text/* keep formats without a listed extension selectable; the content decides how they are read.
+const LOCAL_FILE_ACCEPT = [...SUPPORTED_EXTENSIONS.map((extension) => `.${extension}`), 'image/*', 'text/*'].join(',');
+
+const ENCODING_SOURCES = {
+  bom: 'byte order mark',
+  declared: 'declared in the file',
+  content: 'detected',
+  override: 'manual override'
+};
+
+const describeEncoding = (encoding) => `${encoding.name} (${ENCODING_SOURCES[encoding.detectedBy]})`;
+
+const describeMethod = (stream) => {
+  if (stream.method === 'skipped') {
+    return 'Skipped';
+  }
+  if (stream.method === 'encrypted') {
+    return 'Encrypted (not scanned)';
+  }
+  if (stream.method !== 'ocr') {
+    return 'Native';
+  }
+  if (!stream.ocr) {
+    return 'OCR';
+  }
+  return `OCR · ${stream.ocr.confidence}% confidence${stream.ocr.lowConfidence ? ' (low)' : ''}`;
+};
+
+// A SIT that was expected but not found may have been misread by OCR rather than missing from the document.
+const LowOcrConfidenceWarning = ({ streams }) => {
+  const lowStreams = streams.filter((stream) => stream.ocr?.lowConfidence);
+  if (!lowStreams.length) {
+    return null;
+  }
+  return (
+    <p className="warning">
+      OCR confidence is below {LOW_OCR_CONFIDENCE}% for {lowStreams.map(getStreamLabel).join(', ')}. Missing or
+      partial matches in these streams may be recognition errors; check the source document.
+    </p>
+  );
+};
+
+// Containers with entries that were not extracted (size, count or compression-ratio limits) were only partially
+// scanned, so a SIT in the skipped entries would not be found.
+const PartialScanWarning = ({ streams }) => {
+  const skippedByContainer = streams
+    .filter((stream) => stream.method === 'skipped')
+    .reduce((counts, stream) => counts.set(stream.containerPath, (counts.get(stream.containerPath) ?? 0) + 1), new Map());
+  if (!skippedByContainer.size) {
+    return null;
+  }
+  return (
+    <p className="warning">
+      Partially scanned:{' '}
+      {Array.from(skippedByContainer, ([containerPath, count]) => `${containerPath} (${count} skipped)`).join(', ')}.
+      Select a skipped stream to see why it was not extracted.
+    </p>
+  );
+};
+
+// Password-protected items are reported like Purview's "not scanned" outcome instead of failing the extraction.
+const EncryptedItemsWarning = ({ streams }) => {
+  const encrypted = streams.filter((stream) => stream.method === 'encrypted');
+  if (!encrypted.length) {
+    return null;
+  }
+  return (
+    <p className="warning">
+      Not scanned (encrypted): {encrypted.map(getStreamLabel).join(', ')}. Select an encrypted stream to see what to
+      do.
+    </p>
+  );
+};
+
+// Method (Standard for default or automatic labelling, Privileged for a user's choice), date and tenant of a label
+// already applied to the document.
+const describeLabelDetails = (label) => [
+  label.method,
+  label.setDate && `set ${label.setDate}`,
+  label.siteId && `tenant ${label.siteId}`
+].filter(Boolean).join(', ');
+
+const formatLabelNames = (labels) => labels.map((label) => label.displayName).join(', ');
+
+// The document's own label next to the one Graph recommends, as Purview shows the current and the suggested label.
+const LabelComparison = ({ existing, recommended }) => (
+  <section className="card">
+    <h2>Existing vs Recommended Label</h2>
+    <div className="meta-grid">
+      <div>
+        <strong>Existing label</strong>
+        <p>{existing.length ? formatLabelNames(existing) : 'None'}</p>
+      </div>
+      <div>
+        <strong>Recommended label</strong>
+        <p>
+          {recommended.length
+            ? recommended.map((label) => `${label.displayName}${label.action ? ` (${label.action})` : ''}`).join(', ')
+            : 'None'}
+        </p>
+      </div>
+    </div>
+  </section>
+);
+
+const EVIDENCE_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04', '#dc2626'];
+
+const resultKey = (result) => result.sensitiveTypeId || result.id;
+
+// Splits the text at every match boundary so overlapping matches can be highlighted together.
+// `matches` must be sorted by start offset.
+const buildEvidenceSegments = (text, matches) => {
+  const boundaries = Array.from(new Set([0, text.length, ...matches.flatMap((match) => [match.start, match.end])]))
+    .sort((a, b) => a - b);
+  const segments = [];
+  let active = [];
+  let next = 0;
+  for (let index = 0; index < boundaries.length - 1; index += 1) {
+    const start = boundaries[index];
+    const starting = [];
+    active = active.filter((match) => match.end > start);
+    while (next < matches.length && matches[next].start === start) {
+      active.push(matches[next]);
+      starting.push(matches[next].index);
+      next += 1;
+    }
+    segments.push({ start, end: boundaries[index + 1], covering: active.filter((match) => match.end > match.start), starting });
+  }
+  return segments;
+};
+
+const EvidenceViewer = ({ text, results }) => {
+  const [selectedKey, setSelectedKey] = useState('');
+  const [position, setPosition] = useState(0);
+  const containerRef = useRef(null);
+  const scrollRequestedRef = useRef(false);
+
+  const colors = useMemo(
+    () => new Map(results.map((result, index) => [resultKey(result), EVIDENCE_COLORS[index % EVIDENCE_COLORS.length]])),
+    [results]
+  );
+  const matches = useMemo(
+    () => results
+      .filter((result) => !selectedKey || resultKey(result) === selectedKey)
+      .flatMap((result) => (result.matches ?? []).map((match) => ({ ...match, key: resultKey(result), name: result.name })))
+      .sort((a, b) => a.start - b.start || a.end - b.end)
+      .map((match, index) => ({ ...match, index })),
+    [results, selectedKey]
+  );
+  const segments = useMemo(() => buildEvidenceSegments(text, matches), [text, matches]);
+  const current = matches[position] ?? null;
+
+  useEffect(() => {
+    setPosition(0);
+  }, [matches]);
+
+  useEffect(() => {
+    if (!current || !containerRef.current || !scrollRequestedRef.current) {
+      return;
+    }
+    scrollRequestedRef.current = false;
+    containerRef.current
+      .querySelector(`[data-starts~="${current.index}"]`)
+      ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [current]);
+
+  const step = (delta) => {
+    if (!matches.length) {
+      return;
+    }
+    scrollRequestedRef.current = true;
+    setPosition((prev) => (prev + delta + matches.length) % matches.length);
+  };
+
+  return (
+    <div className="evidence-viewer">
+      <div className="evidence-toolbar">
+        <select value={selectedKey} onChange={(event) => setSelectedKey(event.target.value)}>
+          <option value="">All SITs</option>
+          {results.map((result) => (
+            <option key={resultKey(result)} value={resultKey(result)}>
+              {result.name}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="secondary" onClick={() => step(-1)} disabled={!matches.length}>
+          Previous
+        </button>
+        <button type="button" className="secondary" onClick={() => step(1)} disabled={!matches.length}>
+          Next
+        </button>
+        <span className="hint">
+          {current
+            ? `Match ${position + 1} of ${matches.length}: ${current.name} (${current.role}${current.ref ? `, ${current.ref}` : ''})`
+            : 'No match offsets for this selection.'}
+        </span>
+      </div>
+      <div className="evidence-legend">
+        {results.map((result) => (
+          <span key={resultKey(result)}>
+            <i style={{ backgroundColor: colors.get(resultKey(result)) }} />
+            {result.name}
+          </span>
+        ))}
+        <span className="hint">Solid: primary match. Dashed: supporting evidence.</span>
+      </div>
+      <pre className="text-preview evidence-text" ref={containerRef}>
+        {segments.map((segment) => {
+          const content = text.slice(segment.start, segment.end);
+          if (!segment.covering.length) {
+            return content;
+          }
+          const isCurrent = Boolean(current) && segment.covering.includes(current);
+          const top = segment.covering.find((match) => match.role === 'primary') ?? segment.covering[0];
+          const color = colors.get(top.key);
+          return (
+            <mark
+              key={segment.start}
+              data-starts={segment.starting.join(' ')}
+              className={isCurrent ? 'evidence-current' : ''}
+              title={segment.covering.map((match) => `${match.name}: ${match.role}`).join('\n')}
+              style={top.role === 'primary'
+                ? { backgroundColor: `${color}55` }
+                : { backgroundColor: `${color}1f`, borderBottom: `2px dashed ${color}` }}
+            >
+              {content}
+            </mark>
+          );
+        })}
+      </pre>
+    </div>
+  );
+};
+
 export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopyConfigLink, loadWarnings = [] }) {
   const { instance, accounts } = useMsal();
   useEffect(() => {
@@ -188,10 +451,23 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
   const [labels, setLabels] = useState([]);
   const [selectedMessageId, setSelectedMessageId] = useState('');
   const [selectedDriveItem, setSelectedDriveItem] = useState(null);
-  const [extractedText, setExtractedText] = useState('');
+  const [includeRevisions, setIncludeRevisions] = useState(true);
+  const [ocrEmbeddedImages, setOcrEmbeddedImages] = useState(false);
+  const [maxNestingDepth, setMaxNestingDepth] = useState(DEFAULT_MAX_DEPTH);
+  // Only ever held in component state: never saved with the runtime settings or put in the URL.
+  const [extractionPassword, setExtractionPassword] = useState('');
+  // '' detects the charset of each text file.
+  const [textEncoding, setTextEncoding] = useState('');
+  const [extractedStreams, setExtractedStreams] = useState([]);
+  const [selectedStreamIndex, setSelectedStreamIndex] = useState(0);
   const [extractionMeta, setExtractionMeta] = useState(null);
   const [classificationResults, setClassificationResults] = useState([]);
   const [classificationWarnings, setClassificationWarnings] = useState([]);
+  const [classificationProgress, setClassificationProgress] = useState(null);
+  const [confidenceThreshold, setConfidenceThreshold] = useState('low');
+  const [labelCountMode, setLabelCountMode] = useState('total');
+  const [ruleTimeBudget, setRuleTimeBudget] = useState(DEFAULT_RULE_TIME_BUDGET_MS);
+  const classificationAbortRef = useRef(null);
   const [labelEvaluation, setLabelEvaluation] = useState(null);
   const [error, setError] = useState('');
   const [status, setStatus] = useState('');
@@ -271,6 +547,43 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
     () => aggregateClassificationResults(classificationResults),
     [classificationResults]
   );
+  const visibleResults = useMemo(
+    () => applyConfidenceThreshold(aggregatedResults, confidenceThreshold),
+    [aggregatedResults, confidenceThreshold]
+  );
+  const visibleStreamResults = useMemo(
+    () => extractedStreams.map((stream, streamIndex) => ({
+      stream,
+      streamIndex,
+      results: applyConfidenceThreshold(
+        aggregateClassificationResults(classificationResults.filter((result) => result.streamIndex === streamIndex)),
+        confidenceThreshold
+      )
+    })),
+    [extractedStreams, classificationResults, confidenceThreshold]
+  );
+  const selectedStream = extractedStreams[selectedStreamIndex] ?? null;
+  // Which pages of each PDF (or image) were OCR'd rather than read natively.
+  const ocrPageSummary = useMemo(
+    () => extractedStreams
+      .filter((stream) => stream.ocr?.pages.length)
+      .map((stream) => ({
+        label: getStreamLabel(stream),
+        pages: formatPageRanges(stream.ocr.pages.map((page) => page.page))
+      })),
+    [extractedStreams]
+  );
+  // Labels already applied to the extracted documents, named from the loaded tenant labels when they are known.
+  const existingLabels = useMemo(
+    () => extractedStreams.flatMap((stream) => resolveSensitivityLabels(stream.sensitivityLabels ?? [], labels)
+      .map((label) => ({ ...label, streamLabel: getStreamLabel(stream), topLevel: !stream.containerPath }))),
+    [extractedStreams, labels]
+  );
+  const recommendedLabels = useMemo(
+    () => resolveSensitivityLabels(getRecommendedLabels(labelEvaluation), labels),
+    [labelEvaluation, labels]
+  );
+  const selectedStreamResults = visibleStreamResults[selectedStreamIndex]?.results ?? [];
   const sitPatternCount = useMemo(
     () => sitCatalog.reduce((total, sit) => total + (sit.patterns?.length ?? 0), 0),
     [sitCatalog]
@@ -376,7 +689,9 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
       setStatus(`Imported ${importedSits.length} SITs from rule pack.`);
       setTimeout(() => setStatus(''), 4000);
     } catch (error) {
-      setError('Unable to parse rule pack XML.');
+      setError(error?.name === 'RulePackParseError'
+        ? `Unable to parse rule pack XML. ${error.message}`
+        : 'Unable to parse rule pack XML.');
     }
   };
 
@@ -413,6 +728,8 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
           description: sit.description,
           pattern,
           confidence: pattern.confidence ?? 50,
+          recommendedConfidence: sit.recommendedConfidence,
+          relaxProximity: Boolean(sit.relaxProximity),
           source: 'rulepack'
         });
       });
@@ -528,6 +845,38 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
     }
   };
 
+  const applyExtractedStreams = (streams, { source, name, fileType = null }) => {
+    setExtractedStreams(streams);
+    setSelectedStreamIndex(0);
+    setExtractionMeta({
+      source,
+      name,
+      fileType,
+      encoding: streams.find((stream) => stream.encoding)?.encoding ?? null,
+      length: streams.reduce((total, stream) => total + stream.text.length, 0)
+    });
+  };
+
+  const extractionOptions = {
+    includeRevisions,
+    ocrEmbeddedImages,
+    maxDepth: Math.max(1, maxNestingDepth || 1),
+    password: extractionPassword,
+    encoding: textEncoding || undefined,
+    ocr: {
+      languages: runtimeConfig.ocrLanguages,
+      langPath: runtimeConfig.ocrLangPath,
+      workerPath: runtimeConfig.ocrWorkerPath,
+      corePath: runtimeConfig.ocrCorePath
+    }
+  };
+
+  const extractDownloadedFile = async (buffer, { source, name }) => {
+    const fileType = identifyFileType({ buffer, name });
+    const streams = await extractTextFromBuffer({ buffer, name, fileType, options: extractionOptions });
+    applyExtractedStreams(streams, { source, name, fileType });
+  };
+
   const handleExtract = async () => {
     setLoading(true);
     setError('');
@@ -541,13 +890,7 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
         if (!file) {
           throw new Error('Select a file to extract.');
         }
-        const text = await extractTextFromFile(file);
-        setExtractedText(text);
-        setExtractionMeta({
-          source: 'Local file',
-          name: file.name,
-          length: text.length
-        });
+        await extractDownloadedFile(await file.arrayBuffer(), { source: 'Local file', name: file.name });
         return;
       }
 
@@ -555,12 +898,10 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
         if (!pasteText.trim()) {
           throw new Error('Paste or type text to extract.');
         }
-        setExtractedText(pasteText.trim());
-        setExtractionMeta({
-          source: 'Pasted text',
-          name: 'Pasted text',
-          length: pasteText.trim().length
-        });
+        applyExtractedStreams(
+          [createStream({ name: 'Pasted text', mimeType: 'text/plain', text: pasteText.trim() })],
+          { source: 'Pasted text', name: 'Pasted text' }
+        );
         return;
       }
 
@@ -569,16 +910,22 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
           throw new Error('Select a message.');
         }
         const message = await graphClient.request({
-          path: `/me/messages/${selectedMessageId}?$select=subject,receivedDateTime,from,body`,
+          path: `/me/messages/${selectedMessageId}?$select=subject,receivedDateTime,from,body,internetMessageHeaders`,
           scopes: buildScopeList([runtimeConfig.mailReadScope])
         });
         const bodyText = extractTextFromHtml(message?.body?.content ?? '');
-        setExtractedText(bodyText);
-        setExtractionMeta({
-          source: 'Outlook message',
-          name: message?.subject ?? 'Message',
-          length: bodyText.length
-        });
+        const subject = message?.subject ?? 'Message';
+        const labelHeader = (message?.internetMessageHeaders ?? [])
+          .find((header) => header.name?.toLowerCase() === 'msip_labels');
+        applyExtractedStreams(
+          [createStream({
+            name: subject,
+            mimeType: 'message/rfc822',
+            text: bodyText,
+            sensitivityLabels: parseLabelHeader(labelHeader?.value)
+          })],
+          { source: 'Outlook message', name: subject }
+        );
         return;
       }
 
@@ -590,13 +937,7 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
           path: `/me/drive/items/${selectedDriveItem.id}/content`,
           scopes: buildScopeList([runtimeConfig.filesReadScope, runtimeConfig.sitesReadScope])
         });
-        const text = await extractTextFromBuffer({ buffer, name: selectedDriveItem.name });
-        setExtractedText(text);
-        setExtractionMeta({
-          source: 'OneDrive file',
-          name: selectedDriveItem.name,
-          length: text.length
-        });
+        await extractDownloadedFile(buffer, { source: 'OneDrive file', name: selectedDriveItem.name });
         return;
       }
 
@@ -608,8 +949,11 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
     }
   };
 
-  const handleClassify = () => {
-    if (!extractedText) {
+  const handleClassify = async () => {
+    if (classificationAbortRef.current) {
+      return;
+    }
+    if (!extractedStreams.some((stream) => stream.text)) {
       setError('Extract text before running classification.');
       return;
     }
@@ -618,29 +962,90 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
       return;
     }
     setError('');
+    const warnings = [];
     const invalidCustomDetectors = findInvalidDetectors(customDetectors);
     if (invalidCustomDetectors.length > 0) {
-      setClassificationWarnings([
+      warnings.push(
         `${invalidCustomDetectors.length} custom rule${invalidCustomDetectors.length === 1 ? '' : 's'} were skipped because their regex patterns are invalid.`
-      ]);
-    } else {
-      setClassificationWarnings([]);
+      );
+    }
+    const unknownFunctions = findUnknownFunctions(sitDetectors);
+    if (unknownFunctions.length > 0) {
+      warnings.push(
+        `Patterns referencing unknown Purview functions cannot match: ${unknownFunctions.join(', ')}.`
+      );
+    }
+    const reducedFidelityDetectors = findReducedFidelityDetectors(sitDetectors);
+    if (reducedFidelityDetectors.length > 0) {
+      const issuesByName = new Map();
+      reducedFidelityDetectors.forEach((detector) => {
+        const issues = issuesByName.get(detector.name) ?? new Set();
+        detector.issues.forEach((issue) => issues.add(issue));
+        issuesByName.set(detector.name, issues);
+      });
+      warnings.push(
+        `${issuesByName.size} SIT${issuesByName.size === 1 ? ' is' : 's are'} evaluated with reduced fidelity because their .NET regexes could not be translated exactly:`
+      );
+      issuesByName.forEach((issues, name) => {
+        warnings.push(`${name}: ${Array.from(issues).join('; ')}`);
+      });
     }
+    setClassificationWarnings(warnings);
     const validCustomDetectors = customDetectors.filter((detector) => !invalidCustomDetectors.includes(detector));
-    const sitResults = evaluateSitDetectors(extractedText, sitDetectors);
-    const customResults = detectSensitiveInfo(extractedText, validCustomDetectors);
-    const results = [...sitResults, ...customResults];
-    if (!results.length) {
-      setError('No matches were found for the current rules.');
+    const controller = new AbortController();
+    classificationAbortRef.current = controller;
+    const streamCount = extractedStreams.filter((stream) => stream.text).length;
+    setClassificationProgress({
+      completed: 0,
+      total: streamCount * (sitDetectors.length + validCustomDetectors.length),
+      skipped: 0
+    });
+    try {
+      const { results, skipped } = await classifyInWorkers({
+        streams: extractedStreams,
+        sitDetectors,
+        customDetectors: validCustomDetectors,
+        timeBudgetMs: Math.max(100, ruleTimeBudget || DEFAULT_RULE_TIME_BUDGET_MS),
+        signal: controller.signal,
+        onProgress: setClassificationProgress
+      });
+      if (skipped.length > 0) {
+        setClassificationWarnings([
+          ...warnings,
+          `${skipped.length} rule${skipped.length === 1 ? ' was' : 's were'} aborted and not counted:`,
+          ...skipped.map((rule) => (
+            `${rule.name} (${rule.id}) in ${getStreamLabel(extractedStreams[rule.streamIndex])}: ${rule.reason}`
+          ))
+        ]);
+      }
+      if (!results.length) {
+        setError('No matches were found for the current rules.');
+      }
+      setClassificationResults(results);
+      setLabelEvaluation(null);
+    } catch (classifyError) {
+      if (classifyError.name === 'AbortError') {
+        setStatus('Classification cancelled.');
+      } else {
+        setError(`Classification failed. ${classifyError.message}`);
+      }
+    } finally {
+      classificationAbortRef.current = null;
+      setClassificationProgress(null);
     }
-    setClassificationResults(results);
-    setLabelEvaluation(null);
+  };
+
+  const handleCancelClassification = () => {
+    classificationAbortRef.current?.abort();
   };
 
   const handleEvaluateLabels = async () => {
-    const graphResults = buildGraphClassificationResults(classificationResults);
+    const graphResults = buildGraphClassificationResults(classificationResults, {
+      threshold: confidenceThreshold,
+      countMode: labelCountMode
+    });
     if (!graphResults.length) {
-      setError('Load SITs (with sensitiveTypeId values) or update your custom rules before evaluating labels.');
+      setError('No results with a sensitiveTypeId meet the selected confidence level. Load SITs (with sensitiveTypeId values), update your custom rules or lower the confidence level before evaluating labels.');
       return;
     }
     setLoading(true);
@@ -657,7 +1062,7 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
           identifier: extractionMeta?.name ?? 'extracted.txt',
           'state@odata.type': '#microsoft.graph.security.contentState',
           state: 'rest',
-          metadata: []
+          metadata: toLabelMetadata(existingLabels.filter((label) => label.topLevel))
         },
         classificationResults: graphResults
       };
@@ -869,6 +1274,40 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
                 onChange={(event) => setDraftConfig((prev) => ({ ...prev, labelsReadScope: event.target.value }))}
               />
             </div>
+            <div className="field">
+              <label>OCR Languages</label>
+              <input
+                type="text"
+                value={Array.isArray(draftConfig.ocrLanguages) ? draftConfig.ocrLanguages.join('+') : draftConfig.ocrLanguages ?? ''}
+                onChange={(event) => setDraftConfig((prev) => ({ ...prev, ocrLanguages: event.target.value }))}
+              />
+              <span className="hint">Tesseract codes, e.g. eng+deu+jpn+ara</span>
+            </div>
+            <div className="field">
+              <label>OCR Language Data Path</label>
+              <input
+                type="text"
+                value={draftConfig.ocrLangPath ?? ''}
+                onChange={(event) => setDraftConfig((prev) => ({ ...prev, ocrLangPath: event.target.value }))}
+              />
+              <span className="hint">Folder with &lt;lang&gt;.traineddata.gz, for example /tessdata for offline use. Leave empty for the Tesseract.js CDN.</span>
+            </div>
+            <div className="field">
+              <label>OCR Worker Path (optional)</label>
+              <input
+                type="text"
+                value={draftConfig.ocrWorkerPath ?? ''}
+                onChange={(event) => setDraftConfig((prev) => ({ ...prev, ocrWorkerPath: event.target.value }))}
+              />
+            </div>
+            <div className="field">
+              <label>OCR Core Path (optional)</label>
+              <input
+                type="text"
+                value={draftConfig.ocrCorePath ?? ''}
+                onChange={(event) => setDraftConfig((prev) => ({ ...prev, ocrCorePath: event.target.value }))}
+              />
+            </div>
           </div>
           <div className="actions">
             <button type="button" onClick={handleSaveConfig} disabled={!isConfigDirty}>
@@ -951,7 +1390,7 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
             <SourceOption
               id="file"
               label="Local file"
-              description="PDF (text + OCR fallback), DOCX, TXT, EML, MSG, image OCR, archives (zip/7z/rar) (client-side extraction)"
+              description="PDF (text + OCR fallback), DOCX/DOC, XLSX/XLS, PPTX/PPT, ODT/ODS/ODP, TXT, EML, MSG, image OCR, archives (zip/7z/rar) (client-side extraction)"
               selected={sourceType === 'file'}
               onSelect={setSourceType}
             />
@@ -986,11 +1425,12 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
               <input
                 id="file"
                 type="file"
-                accept=".pdf,.docx,.txt,.eml,.msg,.zip,.7z,.rar,.tar,.gz,.tgz,.xz,image/jpeg,image/jpg,image/png,image/tiff,image/bmp,image/gif,image/webp,image/*"
+                accept={LOCAL_FILE_ACCEPT}
                 onChange={(event) => setFile(event.target.files?.[0] ?? null)}
               />
               <p className="helper">
-                Supports PDF (text + OCR fallback), DOCX, TXT, EML, MSG, OCR on image formats, and ZIP/7z/RAR archives today.
+                Supports PDF (text + OCR fallback), Office and OpenDocument files, RTF, HTML, XML, text and source code,
+                EML, MSG, OCR on image formats, and ZIP/7z/RAR archives today.
               </p>
             </div>
           )}
@@ -1051,6 +1491,55 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
             </div>
           )}
 
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={includeRevisions}
+              onChange={(event) => setIncludeRevisions(event.target.checked)}
+            />
+            Include revision history (tracked deletions and moves in Word documents)
+          </label>
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={ocrEmbeddedImages}
+              onChange={(event) => setOcrEmbeddedImages(event.target.checked)}
+            />
+            OCR images embedded in Office documents
+          </label>
+          <div className="field">
+            <label>Maximum nesting depth (archives, attachments, embedded messages and objects)</label>
+            <input
+              type="number"
+              min={1}
+              max={10}
+              value={maxNestingDepth}
+              onChange={(event) => setMaxNestingDepth(Number(event.target.value))}
+            />
+          </div>
+          <div className="field">
+            <label>Text encoding</label>
+            <select value={textEncoding} onChange={(event) => setTextEncoding(event.target.value)}>
+              <option value="">Detect automatically</option>
+              {TEXT_ENCODINGS.map((encoding) => (
+                <option key={encoding} value={encoding}>
+                  {encoding}
+                </option>
+              ))}
+            </select>
+            <span className="hint">Used for text, HTML, XML and source-code files, including those inside archives.</span>
+          </div>
+          <div className="field">
+            <label>Password for encrypted archives and PDFs (optional)</label>
+            <input
+              type="password"
+              autoComplete="off"
+              value={extractionPassword}
+              onChange={(event) => setExtractionPassword(event.target.value)}
+            />
+            <span className="hint">Kept in memory for this tab only; it is not saved or sent anywhere.</span>
+          </div>
+
           <div className="actions">
             <button type="button" onClick={handleExtract} disabled={loading}>
               Run text extraction
@@ -1070,12 +1559,97 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
                 <strong>Identifier</strong>
                 <p>{extractionMeta.name}</p>
               </div>
+              {extractionMeta.fileType && (
+                <div>
+                  <strong>Detected type</strong>
+                  <p>
+                    {extractionMeta.fileType.mimeType} (
+                    {extractionMeta.fileType.detectedBy === 'content' ? 'from content' : 'from extension'})
+                  </p>
+                </div>
+              )}
+              {extractionMeta.encoding && (
+                <div>
+                  <strong>Text encoding</strong>
+                  <p>{describeEncoding(extractionMeta.encoding)}</p>
+                </div>
+              )}
               <div>
                 <strong>Characters</strong>
                 <p>{extractionMeta.length}</p>
               </div>
+              <div>
+                <strong>Streams</strong>
+                <p>{extractedStreams.length}</p>
+              </div>
+              {existingLabels.length > 0 && (
+                <div>
+                  <strong>Sensitivity labels</strong>
+                  {existingLabels.map((label) => (
+                    <p key={`${label.streamLabel}:${label.id}`}>
+                      {label.streamLabel}: {label.displayName}
+                      {describeLabelDetails(label) && ` (${describeLabelDetails(label)})`}
+                      {labels.length > 0 && !label.resolved && ' — not in the loaded labels'}
+                    </p>
+                  ))}
+                </div>
+              )}
+              {ocrPageSummary.length > 0 && (
+                <div>
+                  <strong>OCR pages</strong>
+                  {ocrPageSummary.map(({ label, pages }) => (
+                    <p key={label}>{label}: {pages}</p>
+                  ))}
+                </div>
+              )}
             </div>
-            <pre className="text-preview">{extractedText.slice(0, 5000)}</pre>
+            <table className="stream-table">
+              <thead>
+                <tr>
+                  <th>Stream</th>
+                  <th>Container</th>
+                  <th>MIME type</th>
+                  <th>Method</th>
+                  <th>Characters</th>
+                </tr>
+              </thead>
+              <tbody>
+                {extractedStreams.map((stream, streamIndex) => (
+                  <tr
+                    key={`${streamIndex}:${getStreamLabel(stream)}`}
+                    className={[
+                      streamIndex === selectedStreamIndex ? 'active' : '',
+                      stream.ocr?.lowConfidence ? 'low-confidence' : '',
+                      stream.warning ? 'skipped' : ''
+                    ].filter(Boolean).join(' ')}
+                    onClick={() => setSelectedStreamIndex(streamIndex)}
+                  >
+                    <td>{stream.name}</td>
+                    <td>{stream.containerPath || '—'}</td>
+                    <td>{stream.encoding ? `${stream.mimeType}; charset=${stream.encoding.name}` : stream.mimeType}</td>
+                    <td>{describeMethod(stream)}</td>
+                    <td>{stream.text.length}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <LowOcrConfidenceWarning streams={extractedStreams} />
+            <PartialScanWarning streams={extractedStreams} />
+            <EncryptedItemsWarning streams={extractedStreams} />
+            {selectedStream?.warning && <p className="warning">{selectedStream.warning}</p>}
+            {selectedStream?.ocr && (
+              <p className="hint">
+                OCR ({selectedStream.ocr.languages.join('+')}):{' '}
+                {selectedStream.ocr.pages
+                  .map((page) => `page ${page.page} ${page.confidence}% (${page.words.length} words)`)
+                  .join(' · ')}
+              </p>
+            )}
+            {selectedStream && (selectedStreamResults.some((result) => result.matches?.length) ? (
+              <EvidenceViewer key={selectedStreamIndex} text={selectedStream.text} results={selectedStreamResults} />
+            ) : (
+              <pre className="text-preview">{selectedStream.text.slice(0, 5000)}</pre>
+            ))}
           </section>
         )}
 
@@ -1164,10 +1738,25 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
               <p>{sitDetectors.length} from SITs, {customDetectors.length} custom.</p>
             </div>
           </div>
+          <div className="field">
+            <label>Time budget per pattern (ms)</label>
+            <input
+              type="number"
+              min={100}
+              step={100}
+              value={ruleTimeBudget}
+              onChange={(event) => setRuleTimeBudget(Number(event.target.value))}
+            />
+          </div>
           <div className="actions">
-            <button type="button" onClick={handleClassify}>
+            <button type="button" onClick={handleClassify} disabled={Boolean(classificationProgress)}>
               Run classification
             </button>
+            {classificationProgress && (
+              <button type="button" className="secondary" onClick={handleCancelClassification}>
+                Cancel
+              </button>
+            )}
             <button type="button" className="secondary" onClick={() => setShowCustomRules((prev) => !prev)}>
               {showCustomRules ? 'Hide custom rules' : 'Show custom rules'}
             </button>
@@ -1178,6 +1767,15 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
               Add custom rule
             </button>
           </div>
+          {classificationProgress && (
+            <div className="status">
+              <progress value={classificationProgress.completed} max={classificationProgress.total || 1} />
+              <span>
+                Classifying... {classificationProgress.completed}/{classificationProgress.total} rule evaluations
+                {classificationProgress.skipped > 0 && `, ${classificationProgress.skipped} aborted`}
+              </span>
+            </div>
+          )}
           {classificationWarnings.length > 0 && (
             <div className="warning">
               {classificationWarnings.map((warning) => (
@@ -1244,14 +1842,36 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
         {aggregatedResults.length > 0 && (
           <section className="card">
             <h2>Classification Results</h2>
+            <div className="field">
+              <label>Minimum confidence level</label>
+              <select value={confidenceThreshold} onChange={(event) => setConfidenceThreshold(event.target.value)}>
+                <option value="recommended">Recommended (per SIT)</option>
+                {CONFIDENCE_LEVELS.map((level) => (
+                  <option key={level.id} value={level.id}>
+                    {level.label} ({level.value})
+                  </option>
+                ))}
+              </select>
+            </div>
+            {!visibleResults.length && <p className="hint">No results meet the selected confidence level.</p>}
             <div className="results-grid">
-              {aggregatedResults.map((result) => (
+              {visibleResults.map((result) => (
                 <article key={result.sensitiveTypeId || result.id}>
                   <header>
                     <strong>{result.name}</strong>
                     <span>Count: {result.count}</span>
                   </header>
+                  <p>Unique instances: {result.uniqueCount}</p>
                   <p>Confidence: {result.confidence}</p>
+                  <p>
+                    {[...CONFIDENCE_LEVELS].reverse()
+                      .map((level) => `${level.label}: ${result.confidenceCounts?.[level.id] ?? 0}`)
+                      .join(' · ')}
+                  </p>
+                  {confidenceThreshold === 'recommended' && result.recommendedConfidence && (
+                    <p className="hint">Recommended confidence: {result.recommendedConfidence}</p>
+                  )}
+                  {result.reducedFidelity && <p className="hint">Evaluated with reduced regex fidelity.</p>}
                   {result.sensitiveTypeId && <p>SIT ID: {result.sensitiveTypeId}</p>}
                   {result.samples?.length > 0 && (
                     <pre>{result.samples.join('\n')}</pre>
@@ -1259,6 +1879,45 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
                 </article>
               ))}
             </div>
+            {extractedStreams.length > 1 && (
+              <>
+                <h3>Results per stream</h3>
+                <div className="results-grid">
+                  {visibleStreamResults.map(({ stream, streamIndex, results }) => (
+                    <article key={`${streamIndex}:${getStreamLabel(stream)}`}>
+                      <header>
+                        <strong>{stream.name}</strong>
+                        <span className={stream.ocr?.lowConfidence ? 'warning' : ''}>{describeMethod(stream)}</span>
+                      </header>
+                      {stream.containerPath && <p className="hint">{stream.containerPath}</p>}
+                      {results.length ? (
+                        <ul>
+                          {results.map((result) => (
+                            <li key={result.sensitiveTypeId || result.id}>
+                              {result.name}: {result.count} ({result.uniqueCount} unique)
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="hint">
+                          {stream.warning ? 'No matches. See Extraction Results for this stream\'s warning.' : 'No matches.'}
+                        </p>
+                      )}
+                      <button type="button" className="secondary" onClick={() => setSelectedStreamIndex(streamIndex)}>
+                        Show evidence
+                      </button>
+                    </article>
+                  ))}
+                </div>
+              </>
+            )}
+            <div className="field">
+              <label>Count sent for label evaluation</label>
+              <select value={labelCountMode} onChange={(event) => setLabelCountMode(event.target.value)}>
+                <option value="total">Total instances</option>
+                <option value="unique">Unique instances</option>
+              </select>
+            </div>
             <div className="actions">
               <button type="button" className="secondary" onClick={handleEvaluateLabels} disabled={!isAuthenticated || loading}>
                 Evaluate labels (Graph)
@@ -1287,6 +1946,10 @@ export default function App({ runtimeConfig, onSaveConfig, onResetConfig, onCopy
           </section>
         )}
 
+        {labelEvaluation && (
+          <LabelComparison existing={existingLabels.filter((label) => label.topLevel)} recommended={recommendedLabels} />
+        )}
+
         {labelEvaluation && (
           <ResultCard title="Label Evaluation Response" content={labelEvaluation} />
         )}
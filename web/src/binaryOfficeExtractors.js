@@ -0,0 +1,812 @@
+import { findEntry, readCompoundFile } from './cfbReader.js';
+
+// Office 97-2003 binary formats, read from their compound-file streams: Word (MS-DOC) through the piece table,
+// Excel (MS-XLS, BIFF8) through the shared string table and cell records, and PowerPoint (MS-PPT) through the
+// text atoms of each slide.
+
+const joinSections = (sections) => sections.filter((section) => section.trim()).join('\n\n');
+
+const dataView = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+// Compressed (8-bit) strings in Word pieces and Excel records store the low byte of each UTF-16 code unit.
+const latin1 = (bytes) => {
+  let text = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return text;
+};
+
+const utf16 = (bytes) => new TextDecoder('utf-16le').decode(bytes);
+
+// RC4 and CryptoAPI encryption are not implemented, so encrypted files are reported rather than read.
+const passwordProtectedError = (message) => {
+  const error = new Error(message);
+  error.name = 'EncryptedContentError';
+  return error;
+};
+
+const openStream = (buffer, name) => {
+  const compound = readCompoundFile(buffer);
+  const entry = findEntry(compound.root, name);
+  if (!entry) {
+    throw new Error(`${name} stream is missing.`);
+  }
+  return { compound, bytes: compound.readStream(entry) };
+};
+
+const cleanLines = (text) => text
+  .split('\n')
+  .map((line) => line.replace(/\s+$/, ''))
+  .filter((line) => line.trim())
+  .join('\n');
+
+// --- DOC ---
+
+const WORD_IDENT = 0xa5ec;
+// Word 6.0/95 files use a different FIB and 8-bit text without a piece table.
+const WORD97_MIN_NFIB = 106;
+const FIB_FLAG_ENCRYPTED = 0x0100;
+const FIB_FLAG_TABLE_1 = 0x0200;
+const FIB_FLAG_OBFUSCATED = 0x8000;
+
+// Indexes into FibRgLw97 (character counts of each story) and FibRgFcLcb97 (table stream offsets).
+const CCP_STORIES = ['text', 'footnotes', 'headers', 'macros', 'comments', 'endnotes', 'textBoxes', 'headerTextBoxes'];
+const CCP_FIRST_INDEX = 3;
+const FC_PLCF_HDD = 11;
+const FC_CLX = 33;
+
+// The header story starts with six separator stories, then six per section in this order.
+const HEADER_STORY_KINDS = ['headers', 'headers', 'footers', 'footers', 'headers', 'footers'];
+
+const CLX_PRC = 0x01;
+const CLX_PCDT = 0x02;
+const PIECE_COMPRESSED = 0x40000000;
+
+const FIELD_BEGIN = 0x13;
+const FIELD_SEPARATOR = 0x14;
+const FIELD_END = 0x15;
+const CELL_MARK = 0x07;
+
+const WORD_CHARACTERS = {
+  0x0b: '\n',
+  0x0c: '\n',
+  0x0d: '\n',
+  0x1e: '-',
+  0x1f: ''
+};
+
+const readFib = (wordDocument) => {
+  const view = dataView(wordDocument);
+  if (wordDocument.length < 34 || view.getUint16(0, true) !== WORD_IDENT) {
+    throw new Error('WordDocument stream does not start with a FIB.');
+  }
+  if (view.getUint16(2, true) < WORD97_MIN_NFIB) {
+    throw new Error('Word documents older than Word 97 are not supported.');
+  }
+  const flags = view.getUint16(0x0a, true);
+  if (flags & (FIB_FLAG_ENCRYPTED | FIB_FLAG_OBFUSCATED)) {
+    throw passwordProtectedError('Document is password protected.');
+  }
+  const cswOffset = 32;
+  const cslwOffset = cswOffset + 2 + view.getUint16(cswOffset, true) * 2;
+  const longsOffset = cslwOffset + 2;
+  const cbRgFcLcbOffset = longsOffset + view.getUint16(cslwOffset, true) * 4;
+  const fcLcbOffset = cbRgFcLcbOffset + 2;
+  const fcLcb = (index) => ({
+    fc: view.getUint32(fcLcbOffset + index * 8, true),
+    lcb: view.getUint32(fcLcbOffset + index * 8 + 4, true)
+  });
+  return {
+    tableStreamName: flags & FIB_FLAG_TABLE_1 ? '1Table' : '0Table',
+    storyLengths: CCP_STORIES.map((_, index) => view.getInt32(longsOffset + (CCP_FIRST_INDEX + index) * 4, true)),
+    clx: fcLcb(FC_CLX),
+    plcfHdd: fcLcb(FC_PLCF_HDD)
+  };
+};
+
+// The Clx is a run of property modifiers (Prc) followed by the piece table (Pcdt): character positions
+// and, for each piece, where its text lives in the WordDocument stream and whether it is 8-bit.
+const readPieces = (tableStream, { fc, lcb }) => {
+  const clx = tableStream.subarray(fc, fc + lcb);
+  const view = dataView(clx);
+  let offset = 0;
+  while (offset < clx.length) {
+    if (clx[offset] === CLX_PRC) {
+      offset += 3 + view.getInt16(offset + 1, true);
+      continue;
+    }
+    if (clx[offset] !== CLX_PCDT || offset + 5 > clx.length) {
+      break;
+    }
+    const plcStart = offset + 5;
+    const count = Math.floor((view.getUint32(offset + 1, true) - 4) / 12);
+    const pieces = [];
+    for (let index = 0; index < count; index += 1) {
+      const descriptor = plcStart + (count + 1) * 4 + index * 8;
+      const fcValue = view.getUint32(descriptor + 2, true);
+      const compressed = Boolean(fcValue & PIECE_COMPRESSED);
+      const fcStart = fcValue & 0x3fffffff;
+      pieces.push({
+        cpStart: view.getUint32(plcStart + index * 4, true),
+        cpEnd: view.getUint32(plcStart + (index + 1) * 4, true),
+        compressed,
+        start: compressed ? fcStart / 2 : fcStart
+      });
+    }
+    return pieces;
+  }
+  throw new Error('Word document piece table is missing.');
+};
+
+const readPieceText = (wordDocument, pieces) => pieces
+  .sort((a, b) => a.cpStart - b.cpStart)
+  .map((piece) => {
+    const length = Math.max(0, piece.cpEnd - piece.cpStart);
+    return piece.compressed
+      ? new TextDecoder('windows-1252').decode(wordDocument.subarray(piece.start, piece.start + length))
+      : utf16(wordDocument.subarray(piece.start, piece.start + length * 2));
+  })
+  .join('');
+
+// Drops field instructions (between begin and separator) but keeps field results, and turns paragraph,
+// line and cell marks into line breaks and tabs. Two cell marks in a row close a table row.
+const cleanWordText = (text) => {
+  const fields = [];
+  let output = '';
+  for (let index = 0; index < text.length; index += 1) {
+    const code = text.charCodeAt(index);
+    if (code === FIELD_BEGIN) {
+      fields.push(true);
+      continue;
+    }
+    if (code === FIELD_SEPARATOR) {
+      if (fields.length) {
+        fields[fields.length - 1] = false;
+      }
+      continue;
+    }
+    if (code === FIELD_END) {
+      fields.pop();
+      continue;
+    }
+    if (fields.includes(true)) {
+      continue;
+    }
+    if (code === CELL_MARK) {
+      output += text.charCodeAt(index - 1) === CELL_MARK ? '\n' : '\t';
+      continue;
+    }
+    output += WORD_CHARACTERS[code] ?? (code < 0x20 && code !== 0x09 ? '' : text[index]);
+  }
+  return cleanLines(output);
+};
+
+const splitHeaderStories = (text, tableStream, { fc, lcb }) => {
+  const split = { headers: [], footers: [] };
+  const count = Math.floor(lcb / 4);
+  if (count < 2) {
+    split.headers.push(text);
+    return split;
+  }
+  const view = dataView(tableStream.subarray(fc, fc + lcb));
+  for (let story = 6; story + 1 < count; story += 1) {
+    const start = view.getUint32(story * 4, true);
+    const end = view.getUint32((story + 1) * 4, true);
+    split[HEADER_STORY_KINDS[(story - 6) % 6]].push(text.slice(start, end));
+  }
+  return split;
+};
+
+// Returns the stories of a Word 97-2003 document as [{ id, name, text }] in the shape of extractDocxParts.
+// Deleted revisions are stored inline and stay in the body text.
+export const extractDocParts = (buffer) => {
+  const { compound, bytes: wordDocument } = openStream(buffer, 'WordDocument');
+  const fib = readFib(wordDocument);
+  const tableEntry = findEntry(compound.root, fib.tableStreamName);
+  if (!tableEntry) {
+    throw new Error(`${fib.tableStreamName} stream is missing.`);
+  }
+  const tableStream = compound.readStream(tableEntry);
+  const text = readPieceText(wordDocument, readPieces(tableStream, fib.clx));
+  const stories = {};
+  let position = 0;
+  CCP_STORIES.forEach((story, index) => {
+    const length = Math.max(0, fib.storyLengths[index]);
+    stories[story] = text.slice(position, position + length);
+    position += length;
+  });
+  const { headers, footers } = splitHeaderStories(stories.headers, tableStream, fib.plcfHdd);
+  const parts = [
+    { id: 'body', name: 'Body', text: cleanWordText(stories.text) },
+    { id: 'header', name: 'Headers', text: joinSections(headers.map(cleanWordText)) },
+    { id: 'footer', name: 'Footers', text: joinSections(footers.map(cleanWordText)) },
+    { id: 'comments', name: 'Comments', text: cleanWordText(stories.comments) },
+    { id: 'footnotes', name: 'Footnotes', text: cleanWordText(stories.footnotes) },
+    { id: 'endnotes', name: 'Endnotes', text: cleanWordText(stories.endnotes) },
+    { id: 'textBoxes', name: 'Text boxes', text: cleanWordText(`${stories.textBoxes}${stories.headerTextBoxes}`) }
+  ];
+  return parts.filter((part) => part.id === 'body' || part.text.trim());
+};
+
+// --- XLS ---
+
+const BIFF8_VERSION = 0x0600;
+
+const RECORD = {
+  formula: 0x0006,
+  eof: 0x000a,
+  filePass: 0x002f,
+  continue: 0x003c,
+  boundSheet: 0x0085,
+  mulRk: 0x00bd,
+  sst: 0x00fc,
+  labelSst: 0x00fd,
+  number: 0x0203,
+  label: 0x0204,
+  boolErr: 0x0205,
+  string: 0x0207,
+  rk: 0x027e,
+  bof: 0x0809
+};
+
+const SHEET_TYPE_WORKSHEET = 0;
+const STRING_HIGH_BYTE = 0x01;
+const STRING_EXT = 0x04;
+const STRING_RICH = 0x08;
+
+const CELL_ERRORS = {
+  0x00: '#NULL!',
+  0x07: '#DIV/0!',
+  0x0f: '#VALUE!',
+  0x17: '#REF!',
+  0x1d: '#NAME?',
+  0x24: '#NUM!',
+  0x2a: '#N/A'
+};
+
+const readBiffRecords = (bytes) => {
+  const view = dataView(bytes);
+  const records = [];
+  for (let offset = 0; offset + 4 <= bytes.length;) {
+    const size = view.getUint16(offset + 2, true);
+    records.push({
+      type: view.getUint16(offset, true),
+      offset,
+      data: bytes.subarray(offset + 4, Math.min(bytes.length, offset + 4 + size))
+    });
+    offset += 4 + size;
+  }
+  return records;
+};
+
+// Reads across a record and its CONTINUE records. A string's characters may break at a record boundary,
+// in which case the next record starts with a fresh flags byte saying whether the rest is 8- or 16-bit.
+const createContinuedReader = (segments) => {
+  let index = 0;
+  let position = 0;
+  const advance = () => {
+    while (index < segments.length && position >= segments[index].length) {
+      index += 1;
+      position = 0;
+    }
+    return index < segments.length;
+  };
+  const readByte = () => {
+    if (!advance()) {
+      return 0;
+    }
+    position += 1;
+    return segments[index][position - 1];
+  };
+  const readUint16 = () => readByte() | (readByte() << 8);
+  const readUint32 = () => (readUint16() | (readUint16() << 16)) >>> 0;
+  const skip = (count) => {
+    let remaining = count;
+    while (remaining > 0 && advance()) {
+      const step = Math.min(remaining, segments[index].length - position);
+      position += step;
+      remaining -= step;
+    }
+  };
+  const readCharacters = (count, highByte) => {
+    let text = '';
+    let wide = highByte;
+    let remaining = count;
+    while (remaining > 0) {
+      if (position >= segments[index]?.length) {
+        index += 1;
+        position = 0;
+        if (index >= segments.length) {
+          break;
+        }
+        wide = Boolean(segments[index][0] & STRING_HIGH_BYTE);
+        position = 1;
+      }
+      const segment = segments[index];
+      if (!segment) {
+        break;
+      }
+      const available = wide ? Math.floor((segment.length - position) / 2) : segment.length - position;
+      const take = Math.min(remaining, available);
+      if (!take) {
+        position = segment.length;
+        continue;
+      }
+      const end = position + take * (wide ? 2 : 1);
+      text += wide ? utf16(segment.subarray(position, end)) : latin1(segment.subarray(position, end));
+      position = end;
+      remaining -= take;
+    }
+    return text;
+  };
+  return { readByte, readUint16, readUint32, skip, readCharacters, done: () => !advance() };
+};
+
+const continuedSegments = (records, index) => {
+  const segments = [records[index].data];
+  for (let next = index + 1; next < records.length && records[next].type === RECORD.continue; next += 1) {
+    segments.push(records[next].data);
+  }
+  return segments;
+};
+
+const readSharedStrings = (records, index) => {
+  const reader = createContinuedReader(continuedSegments(records, index));
+  reader.skip(4);
+  const count = reader.readUint32();
+  const strings = [];
+  for (let item = 0; item < count && !reader.done(); item += 1) {
+    const length = reader.readUint16();
+    const flags = reader.readByte();
+    const runs = flags & STRING_RICH ? reader.readUint16() : 0;
+    const extLength = flags & STRING_EXT ? reader.readUint32() : 0;
+    strings.push(reader.readCharacters(length, Boolean(flags & STRING_HIGH_BYTE)));
+    reader.skip(runs * 4 + extLength);
+  }
+  return strings;
+};
+
+// XLUnicodeString with a 16-bit (LABEL, STRING) or 8-bit (sheet names) character count.
+const readBiffString = (data, offset, countSize = 2) => {
+  const view = dataView(data);
+  const length = countSize === 2 ? view.getUint16(offset, true) : data[offset];
+  const flags = data[offset + countSize];
+  const start = offset + countSize + 1;
+  return flags & STRING_HIGH_BYTE
+    ? utf16(data.subarray(start, start + length * 2))
+    : latin1(data.subarray(start, start + length));
+};
+
+// RK numbers are 30-bit integers or the top 30 bits of a double, optionally divided by 100.
+const decodeRk = (rk) => {
+  let value;
+  if (rk & 0x02) {
+    value = (rk | 0) >> 2;
+  } else {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setUint32(0, 0, true);
+    view.setUint32(4, rk & 0xfffffffc, true);
+    value = view.getFloat64(0, true);
+  }
+  return rk & 0x01 ? value / 100 : value;
+};
+
+const readSheetNames = (records) => {
+  const sheets = new Map();
+  records
+    .filter((record) => record.type === RECORD.boundSheet)
+    .forEach((record) => {
+      const view = dataView(record.data);
+      if (record.data[5] === SHEET_TYPE_WORKSHEET) {
+        sheets.set(view.getUint32(0, true), readBiffString(record.data, 6, 1));
+      }
+    });
+  return sheets;
+};
+
+export const extractTextFromXls = (buffer) => {
+  const compound = readCompoundFile(buffer);
+  const entry = findEntry(compound.root, 'Workbook');
+  if (!entry) {
+    throw new Error(findEntry(compound.root, 'Book')
+      ? 'Excel 5.0/95 workbooks are not supported.'
+      : 'Workbook stream is missing.');
+  }
+  const records = readBiffRecords(compound.readStream(entry));
+  if (records[0]?.type !== RECORD.bof || dataView(records[0].data).getUint16(0, true) !== BIFF8_VERSION) {
+    throw new Error('Workbook is not in BIFF8 format.');
+  }
+  if (records.some((record) => record.type === RECORD.filePass)) {
+    throw passwordProtectedError('Workbook is password protected.');
+  }
+  const sstIndex = records.findIndex((record) => record.type === RECORD.sst);
+  const sharedStrings = sstIndex >= 0 ? readSharedStrings(records, sstIndex) : [];
+  const sheetNames = readSheetNames(records);
+  const sections = [];
+  let sheet = null;
+  let depth = 0;
+  let pendingFormula = null;
+  records.forEach((record) => {
+    const { data } = record;
+    const view = dataView(data);
+    if (record.type === RECORD.bof) {
+      depth += 1;
+      // Charts embedded in a sheet are nested substreams with their own BOF/EOF.
+      if (depth === 1 && sheetNames.has(record.offset)) {
+        sheet = { name: sheetNames.get(record.offset), rows: new Map() };
+      }
+      return;
+    }
+    if (record.type === RECORD.eof) {
+      depth = Math.max(0, depth - 1);
+      if (!depth && sheet) {
+        const rows = Array.from(sheet.rows.entries())
+          .sort(([a], [b]) => a - b)
+          .map(([, cells]) => Array.from(cells.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([, value]) => value)
+            .join('\t'));
+        sections.push([sheet.name, ...rows].join('\n'));
+        sheet = null;
+      }
+      return;
+    }
+    if (!sheet || depth !== 1 || data.length < 4) {
+      return;
+    }
+    const setCell = (row, column, value) => {
+      if (value === '') {
+        return;
+      }
+      const cells = sheet.rows.get(row) ?? new Map();
+      cells.set(column, value);
+      sheet.rows.set(row, cells);
+    };
+    const row = view.getUint16(0, true);
+    const column = view.getUint16(2, true);
+    switch (record.type) {
+      case RECORD.labelSst:
+        setCell(row, column, sharedStrings[view.getUint32(6, true)] ?? '');
+        break;
+      case RECORD.label:
+        setCell(row, column, readBiffString(data, 6));
+        break;
+      case RECORD.number:
+        setCell(row, column, String(view.getFloat64(6, true)));
+        break;
+      case RECORD.rk:
+        setCell(row, column, String(decodeRk(view.getUint32(6, true))));
+        break;
+      case RECORD.mulRk:
+        for (let offset = 4, index = 0; offset + 6 <= data.length - 2; offset += 6, index += 1) {
+          setCell(row, column + index, String(decodeRk(view.getUint32(offset + 2, true))));
+        }
+        break;
+      case RECORD.boolErr:
+        setCell(row, column, data[7] ? CELL_ERRORS[data[6]] ?? '' : (data[6] ? 'TRUE' : 'FALSE'));
+        break;
+      case RECORD.formula:
+        // A cached string result is in the STRING record that follows; other results are inline.
+        if (view.getUint16(12, true) !== 0xffff) {
+          setCell(row, column, String(view.getFloat64(6, true)));
+        } else if (data[6] === 0) {
+          pendingFormula = { row, column };
+        } else if (data[6] === 1) {
+          setCell(row, column, data[8] ? 'TRUE' : 'FALSE');
+        } else if (data[6] === 2) {
+          setCell(row, column, CELL_ERRORS[data[8]] ?? '');
+        }
+        return;
+      case RECORD.string:
+        if (pendingFormula) {
+          setCell(pendingFormula.row, pendingFormula.column, readBiffString(data, 0));
+        }
+        break;
+      default:
+        return;
+    }
+    pendingFormula = null;
+  });
+  return joinSections(sections);
+};
+
+// --- PPT ---
+
+const PPT_RECORD = {
+  document: 0x03e8,
+  slide: 0x03ee,
+  slideAtom: 0x03ef,
+  notes: 0x03f0,
+  slidePersistAtom: 0x03f3,
+  textCharsAtom: 0x0fa0,
+  textBytesAtom: 0x0fa8,
+  slideListWithText: 0x0ff0,
+  userEditAtom: 0x0ff5,
+  persistDirectoryAtom: 0x1772
+};
+
+const CONTAINER_VERSION = 0x0f;
+const SLIDE_LIST_SLIDES = 0;
+const SLIDE_LIST_NOTES = 2;
+const CURRENT_USER_ENCRYPTED = 0xf3d1c4df;
+
+const readPptRecord = (bytes, offset) => {
+  if (offset < 0 || offset + 8 > bytes.length) {
+    return null;
+  }
+  const view = dataView(bytes);
+  const versionInstance = view.getUint16(offset, true);
+  const start = offset + 8;
+  return {
+    version: versionInstance & 0x0f,
+    instance: versionInstance >> 4,
+    type: view.getUint16(offset + 2, true),
+    start,
+    end: Math.min(bytes.length, start + view.getUint32(offset + 4, true))
+  };
+};
+
+const childPptRecords = (bytes, parent) => {
+  const children = [];
+  for (let offset = parent.start; offset + 8 <= parent.end;) {
+    const record = readPptRecord(bytes, offset);
+    if (record.end > parent.end) {
+      break;
+    }
+    children.push(record);
+    offset = record.end;
+  }
+  return children;
+};
+
+const readTextAtom = (bytes, record) => {
+  const data = bytes.subarray(record.start, record.end);
+  const text = record.type === PPT_RECORD.textCharsAtom ? utf16(data) : latin1(data);
+  return text.replace(/[\r\v]/g, '\n');
+};
+
+const isTextAtom = (record) => record.type === PPT_RECORD.textCharsAtom || record.type === PPT_RECORD.textBytesAtom;
+
+// Text atoms anywhere below a record; shapes keep theirs in OfficeArt client text boxes.
+const collectTextAtoms = (bytes, record, texts = []) => {
+  childPptRecords(bytes, record).forEach((child) => {
+    if (isTextAtom(child)) {
+      texts.push(readTextAtom(bytes, child));
+    } else if (child.version === CONTAINER_VERSION) {
+      collectTextAtoms(bytes, child, texts);
+    }
+  });
+  return texts;
+};
+
+// Every save appends a UserEditAtom whose persist directory maps object ids to stream offsets; following the
+// chain from the current edit back gives the latest offset of each object.
+const readPersistDirectory = (bytes, currentEditOffset) => {
+  const offsets = new Map();
+  const visited = new Set();
+  let documentRef = null;
+  for (let offset = currentEditOffset; offset && !visited.has(offset);) {
+    visited.add(offset);
+    const edit = readPptRecord(bytes, offset);
+    if (!edit || edit.type !== PPT_RECORD.userEditAtom || edit.end - edit.start < 20) {
+      break;
+    }
+    const view = dataView(bytes);
+    documentRef = documentRef ?? view.getUint32(edit.start + 16, true);
+    const directory = readPptRecord(bytes, view.getUint32(edit.start + 12, true));
+    if (directory?.type === PPT_RECORD.persistDirectoryAtom) {
+      for (let position = directory.start; position + 4 <= directory.end;) {
+        const header = view.getUint32(position, true);
+        const firstId = header & 0xfffff;
+        const count = header >>> 20;
+        position += 4;
+        for (let index = 0; index < count && position + 4 <= directory.end; index += 1, position += 4) {
+          if (!offsets.has(firstId + index)) {
+            offsets.set(firstId + index, view.getUint32(position, true));
+          }
+        }
+      }
+    }
+    offset = view.getUint32(edit.start + 8, true);
+  }
+  return { offsets, documentRef };
+};
+
+// Slide lists pair each SlidePersistAtom with the placeholder text that follows it.
+const readSlideList = (bytes, list) => {
+  const entries = [];
+  const view = dataView(bytes);
+  childPptRecords(bytes, list).forEach((child) => {
+    if (child.type === PPT_RECORD.slidePersistAtom) {
+      entries.push({
+        persistRef: view.getUint32(child.start, true),
+        slideId: view.getUint32(child.start + 12, true),
+        texts: []
+      });
+    } else if (isTextAtom(child) && entries.length) {
+      entries[entries.length - 1].texts.push(readTextAtom(bytes, child));
+    }
+  });
+  return entries;
+};
+
+const readSlideText = (bytes, offsets, persistRef, type) => {
+  const record = readPptRecord(bytes, offsets.get(persistRef) ?? -1);
+  return record?.type === type ? { record, texts: collectTextAtoms(bytes, record) } : null;
+};
+
+// Slide number placeholders hold a single '*' that PowerPoint replaces when drawing.
+const joinSlideText = (texts) => cleanLines(texts.join('\n')).split('\n').filter((line) => line.trim() !== '*').join('\n');
+
+export const extractTextFromPpt = (buffer) => {
+  const compound = readCompoundFile(buffer);
+  const documentEntry = findEntry(compound.root, 'PowerPoint Document');
+  if (!documentEntry) {
+    throw new Error('PowerPoint Document stream is missing.');
+  }
+  const bytes = compound.readStream(documentEntry);
+  const currentUser = compound.readStream(findEntry(compound.root, 'Current User'));
+  const currentUserView = dataView(currentUser);
+  if (currentUser.length >= 20 && currentUserView.getUint32(12, true) === CURRENT_USER_ENCRYPTED) {
+    throw passwordProtectedError('Presentation is password protected.');
+  }
+  const { offsets, documentRef } = readPersistDirectory(
+    bytes,
+    currentUser.length >= 20 ? currentUserView.getUint32(16, true) : 0
+  );
+  const documentRecord = readPptRecord(bytes, offsets.get(documentRef) ?? -1);
+  // Without a usable edit chain, every text atom in the stream is reported as one section.
+  if (documentRecord?.type !== PPT_RECORD.document) {
+    return joinSlideText(collectTextAtoms(bytes, { start: 0, end: bytes.length }));
+  }
+  const lists = childPptRecords(bytes, documentRecord).filter((child) => child.type === PPT_RECORD.slideListWithText);
+  const slides = lists.filter((list) => list.instance === SLIDE_LIST_SLIDES).flatMap((list) => readSlideList(bytes, list));
+  const notesById = new Map(lists
+    .filter((list) => list.instance === SLIDE_LIST_NOTES)
+    .flatMap((list) => readSlideList(bytes, list))
+    .map((entry) => [entry.slideId, entry]));
+  const sections = slides.map((entry, index) => {
+    const slide = readSlideText(bytes, offsets, entry.persistRef, PPT_RECORD.slide);
+    const parts = [`Slide ${index + 1}`, joinSlideText([...entry.texts, ...(slide?.texts ?? [])])];
+    const slideAtom = slide && childPptRecords(bytes, slide.record).find((child) => child.type === PPT_RECORD.slideAtom);
+    const notesEntry = slideAtom && notesById.get(dataView(bytes).getUint32(slideAtom.start + 16, true));
+    const notes = notesEntry && readSlideText(bytes, offsets, notesEntry.persistRef, PPT_RECORD.notes);
+    const notesText = notes ? joinSlideText([...notesEntry.texts, ...notes.texts]) : '';
+    if (notesText) {
+      parts.push(`Notes:\n${notesText}`);
+    }
+    return parts.filter(Boolean).join('\n');
+  });
+  return joinSections(sections);
+};
+
+// --- Custom properties ---
+
+const DOCUMENT_SUMMARY_STREAM = '\u0005DocumentSummaryInformation';
+// FMTID_UserDefinedProperties, the section of DocumentSummaryInformation holding custom properties (MS-OLEPS).
+const USER_DEFINED_PROPERTIES = [0x05, 0xd5, 0xcd, 0xd5, 0x9c, 0x2e, 0x1b, 0x10, 0x93, 0x97, 0x08, 0x00, 0x2b, 0x2c, 0xf9, 0xae];
+const DICTIONARY_PROPERTY = 0;
+const CODEPAGE_PROPERTY = 1;
+const CP_UNICODE = 1200;
+const VT = { i4: 0x0003, bool: 0x000b, lpstr: 0x001e, lpwstr: 0x001f };
+
+const decodeCodepage = (bytes, codepage) => {
+  if (codepage === CP_UNICODE) {
+    return utf16(bytes);
+  }
+  try {
+    return new TextDecoder(codepage === 65001 ? 'utf-8' : `windows-${codepage}`).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+};
+
+const trimNulls = (text) => text.replace(/\0+$/, '');
+
+// Property names, keyed by id. Unicode names are padded to a multiple of four bytes.
+const readPropertyDictionary = (bytes, offset, codepage) => {
+  const view = dataView(bytes);
+  const names = new Map();
+  let position = offset + 4;
+  for (let index = 0; index < view.getUint32(offset, true) && position + 8 <= bytes.length; index += 1) {
+    const id = view.getUint32(position, true);
+    const length = view.getUint32(position + 4, true);
+    const size = codepage === CP_UNICODE ? length * 2 : length;
+    names.set(id, trimNulls(decodeCodepage(bytes.subarray(position + 8, position + 8 + size), codepage)));
+    position += 8 + (codepage === CP_UNICODE ? Math.ceil(size / 4) * 4 : size);
+  }
+  return names;
+};
+
+// String, boolean and integer values; other types (dates, vectors) are returned as null.
+const readPropertyValue = (bytes, offset, codepage) => {
+  const view = dataView(bytes);
+  const type = view.getUint16(offset, true);
+  if (type === VT.lpwstr) {
+    return trimNulls(utf16(bytes.subarray(offset + 8, offset + 8 + view.getUint32(offset + 4, true) * 2)));
+  }
+  if (type === VT.lpstr) {
+    return trimNulls(decodeCodepage(bytes.subarray(offset + 8, offset + 8 + view.getUint32(offset + 4, true)), codepage));
+  }
+  if (type === VT.bool) {
+    return view.getInt16(offset + 4, true) ? 'true' : 'false';
+  }
+  return type === VT.i4 ? String(view.getInt32(offset + 4, true)) : null;
+};
+
+const readPropertySection = (bytes, start) => {
+  const view = dataView(bytes);
+  const offsets = new Map();
+  for (let index = 0; index < view.getUint32(start + 4, true); index += 1) {
+    const position = start + 8 + index * 8;
+    if (position + 8 > bytes.length) {
+      break;
+    }
+    offsets.set(view.getUint32(position, true), start + view.getUint32(position + 4, true));
+  }
+  const codepage = offsets.has(CODEPAGE_PROPERTY) ? view.getUint16(offsets.get(CODEPAGE_PROPERTY) + 4, true) : 1252;
+  const names = offsets.has(DICTIONARY_PROPERTY)
+    ? readPropertyDictionary(bytes, offsets.get(DICTIONARY_PROPERTY), codepage)
+    : new Map();
+  return Array.from(names)
+    .filter(([id]) => offsets.has(id))
+    .map(([id, name]) => [name, readPropertyValue(bytes, offsets.get(id), codepage)])
+    .filter(([, value]) => value !== null);
+};
+
+// Returns [name, value] pairs for the custom (user-defined) properties of a Word, Excel or PowerPoint 97-2003 file.
+export const readCompoundFileProperties = (buffer) => {
+  const compound = readCompoundFile(buffer);
+  const bytes = compound.readStream(findEntry(compound.root, DOCUMENT_SUMMARY_STREAM));
+  if (bytes.length < 48) {
+    return [];
+  }
+  const view = dataView(bytes);
+  for (let index = 0; index < view.getUint32(24, true) && 48 + index * 20 <= bytes.length; index += 1) {
+    const entry = 28 + index * 20;
+    if (USER_DEFINED_PROPERTIES.every((byte, offset) => bytes[entry + offset] === byte)) {
+      return readPropertySection(bytes, view.getUint32(entry + 16, true));
+    }
+  }
+  return [];
+};
+
+// --- Embedded OLE objects ---
+
+const OLE_PACKAGE_STREAM = 'Package';
+const OLE_NATIVE_STREAM = '\u0001Ole10Native';
+const OLE_CONTENTS_STREAM = 'CONTENTS';
+
+const readAnsiString = (bytes, offset) => {
+  const end = bytes.indexOf(0, offset);
+  const stop = end < 0 ? bytes.length : end;
+  return { text: new TextDecoder('windows-1252').decode(bytes.subarray(offset, stop)), next: stop + 1 };
+};
+
+// Object Packager data: total size, a signature, the label and original path, a type, the temporary path and
+// finally the file itself.
+const readOle10Native = (bytes) => {
+  const view = dataView(bytes);
+  const label = readAnsiString(bytes, 6);
+  const originalPath = readAnsiString(bytes, label.next);
+  const tempPathLengthOffset = originalPath.next + 4;
+  const dataSizeOffset = tempPathLengthOffset + 4 + view.getUint32(tempPathLengthOffset, true);
+  const dataStart = dataSizeOffset + 4;
+  const data = bytes.slice(dataStart, dataStart + view.getUint32(dataSizeOffset, true));
+  return { name: label.text || originalPath.text.split(/[\\/]/).pop(), buffer: data.buffer };
+};
+
+// OLE objects embedded in Office documents wrap the actual file: `Package` holds it as-is, `\u0001Ole10Native`
+// is the Object Packager format with a file name, and `CONTENTS` is used by PDF and other non-Office servers.
+// Any other object is a compound document itself (an embedded .doc or .xls). Returns { name, buffer }; the name
+// is empty when the object does not record one.
+export const readOleObject = (buffer) => {
+  const compound = readCompoundFile(buffer);
+  const native = findEntry(compound.root, OLE_NATIVE_STREAM);
+  if (native) {
+    return readOle10Native(compound.readStream(native));
+  }
+  const stream = findEntry(compound.root, OLE_PACKAGE_STREAM) ?? findEntry(compound.root, OLE_CONTENTS_STREAM);
+  return { name: '', buffer: stream ? compound.readStream(stream).buffer : buffer };
+};
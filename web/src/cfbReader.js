@@ -0,0 +1,197 @@
+// Reader for Compound File Binary (MS-CFB) containers: .msg, .doc, .xls, .ppt and OLE objects.
+
+const SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const DIFAT_IN_HEADER = 109;
+const DIRECTORY_ENTRY_SIZE = 128;
+const NO_STREAM = 0xffffffff;
+const END_OF_CHAIN = 0xfffffffe;
+const MAX_REGULAR_SECTOR = 0xfffffffa;
+
+const ENTRY_TYPES = { 1: 'storage', 2: 'stream', 5: 'root' };
+
+const createCompoundFileError = (message) => {
+  const error = new Error(`Compound file is corrupt: ${message}`);
+  error.name = 'CompoundFileError';
+  return error;
+};
+
+export const isCompoundFile = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, SIGNATURE.length));
+  return bytes.length === SIGNATURE.length && SIGNATURE.every((byte, index) => bytes[index] === byte);
+};
+
+// Parses the container and returns { root, readStream(entry) }. Entries are
+// { name, type: 'root' | 'storage' | 'stream', size, children }, with children sorted by name.
+export const readCompoundFile = (buffer) => {
+  if (!isCompoundFile(buffer)) {
+    throw createCompoundFileError('missing signature.');
+  }
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const sectorSize = 1 << view.getUint16(0x1e, true);
+  const miniSectorSize = 1 << view.getUint16(0x20, true);
+  const miniStreamCutoff = view.getUint32(0x38, true);
+  if (sectorSize !== 512 && sectorSize !== 4096) {
+    throw createCompoundFileError(`unsupported sector size ${sectorSize}.`);
+  }
+  const sectorCount = Math.ceil(buffer.byteLength / sectorSize);
+
+  // The header is padded to a full sector, so sector 0 starts one sector in.
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+  const readUint32 = (offset) => (offset + 4 <= buffer.byteLength ? view.getUint32(offset, true) : END_OF_CHAIN);
+
+  // The DIFAT lists the sectors that hold the FAT: 109 entries in the header, then a chain of DIFAT sectors.
+  const fatSectors = [];
+  for (let index = 0; index < DIFAT_IN_HEADER; index += 1) {
+    const sector = view.getUint32(0x4c + index * 4, true);
+    if (sector <= MAX_REGULAR_SECTOR) {
+      fatSectors.push(sector);
+    }
+  }
+  let difatSector = view.getUint32(0x44, true);
+  for (let visited = 0; difatSector <= MAX_REGULAR_SECTOR; visited += 1) {
+    if (visited > sectorCount) {
+      throw createCompoundFileError('DIFAT chain loops.');
+    }
+    const offset = sectorOffset(difatSector);
+    const perSector = sectorSize / 4 - 1;
+    for (let index = 0; index < perSector; index += 1) {
+      const sector = readUint32(offset + index * 4);
+      if (sector <= MAX_REGULAR_SECTOR) {
+        fatSectors.push(sector);
+      }
+    }
+    difatSector = readUint32(offset + perSector * 4);
+  }
+  const fat = [];
+  fatSectors.forEach((sector) => {
+    const offset = sectorOffset(sector);
+    for (let index = 0; index < sectorSize / 4; index += 1) {
+      fat.push(readUint32(offset + index * 4));
+    }
+  });
+
+  const readChain = (table, start) => {
+    const chain = [];
+    for (let sector = start; sector <= MAX_REGULAR_SECTOR; sector = table[sector] ?? END_OF_CHAIN) {
+      if (chain.length > table.length) {
+        throw createCompoundFileError('sector chain loops.');
+      }
+      chain.push(sector);
+    }
+    return chain;
+  };
+
+  // Sizes come from the file, so they are capped at what the container can actually hold.
+  const readRegularStream = (start, declaredSize) => {
+    const size = Math.min(declaredSize, bytes.length);
+    const output = new Uint8Array(size);
+    let written = 0;
+    for (const sector of readChain(fat, start)) {
+      if (written >= size) {
+        break;
+      }
+      const offset = sectorOffset(sector);
+      const chunk = bytes.subarray(offset, Math.min(offset + sectorSize, offset + size - written, bytes.length));
+      output.set(chunk, written);
+      written += chunk.length;
+    }
+    return output;
+  };
+
+  const directoryChain = readChain(fat, view.getUint32(0x30, true));
+  const directoryBytes = new Uint8Array(directoryChain.length * sectorSize);
+  directoryChain.forEach((sector, index) => {
+    const offset = sectorOffset(sector);
+    directoryBytes.set(bytes.subarray(offset, Math.min(offset + sectorSize, bytes.length)), index * sectorSize);
+  });
+  const directoryView = new DataView(directoryBytes.buffer);
+  const rawEntries = [];
+  for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= directoryBytes.length; offset += DIRECTORY_ENTRY_SIZE) {
+    const nameLength = Math.min(64, directoryView.getUint16(offset + 0x40, true));
+    const name = new TextDecoder('utf-16le').decode(directoryBytes.subarray(offset, offset + Math.max(0, nameLength - 2)));
+    rawEntries.push({
+      name,
+      type: ENTRY_TYPES[directoryBytes[offset + 0x42]] ?? null,
+      left: directoryView.getUint32(offset + 0x44, true),
+      right: directoryView.getUint32(offset + 0x48, true),
+      child: directoryView.getUint32(offset + 0x4c, true),
+      start: directoryView.getUint32(offset + 0x74, true),
+      size: directoryView.getUint32(offset + 0x78, true)
+    });
+  }
+  const rootEntry = rawEntries[0];
+  if (!rootEntry || rootEntry.type !== 'root') {
+    throw createCompoundFileError('missing root entry.');
+  }
+
+  const miniFat = [];
+  readChain(fat, view.getUint32(0x3c, true)).forEach((sector) => {
+    const offset = sectorOffset(sector);
+    for (let index = 0; index < sectorSize / 4; index += 1) {
+      miniFat.push(readUint32(offset + index * 4));
+    }
+  });
+  let miniStream = null;
+
+  const readMiniStream = (start, declaredSize) => {
+    miniStream = miniStream ?? readRegularStream(rootEntry.start, rootEntry.size);
+    const size = Math.min(declaredSize, miniStream.length);
+    const output = new Uint8Array(size);
+    let written = 0;
+    for (const sector of readChain(miniFat, start)) {
+      if (written >= size) {
+        break;
+      }
+      const offset = sector * miniSectorSize;
+      const chunk = miniStream.subarray(offset, Math.min(offset + miniSectorSize, offset + size - written));
+      output.set(chunk, written);
+      written += chunk.length;
+    }
+    return output;
+  };
+
+  // Siblings are stored as a red-black tree; following every left/right link collects them.
+  const buildEntry = (index, seen) => {
+    const raw = rawEntries[index];
+    const entry = { name: raw.name, type: raw.type, size: raw.size, start: raw.start, children: [] };
+    const pending = raw.child === NO_STREAM ? [] : [raw.child];
+    while (pending.length) {
+      const childIndex = pending.pop();
+      const child = rawEntries[childIndex];
+      if (!child || seen.has(childIndex)) {
+        continue;
+      }
+      seen.add(childIndex);
+      if (child.left !== NO_STREAM) {
+        pending.push(child.left);
+      }
+      if (child.right !== NO_STREAM) {
+        pending.push(child.right);
+      }
+      if (child.type) {
+        entry.children.push(buildEntry(childIndex, seen));
+      }
+    }
+    entry.children.sort((a, b) => a.name.localeCompare(b.name));
+    return entry;
+  };
+
+  const root = buildEntry(0, new Set([0]));
+
+  const readStream = (entry) => {
+    if (!entry || entry.type !== 'stream') {
+      return new Uint8Array(0);
+    }
+    return entry.size < miniStreamCutoff
+      ? readMiniStream(entry.start, entry.size)
+      : readRegularStream(entry.start, entry.size);
+  };
+
+  return { root, readStream };
+};
+
+export const findEntry = (storage, name) => {
+  const lower = name.toLowerCase();
+  return storage?.children.find((child) => child.name.toLowerCase() === lower) ?? null;
+};
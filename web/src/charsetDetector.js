@@ -0,0 +1,335 @@
+// Detects the character encoding of text without a declared charset: byte order marks first, then BOM-less
+// UTF-16, strict UTF-8, and finally the legacy encoding whose decoding reads most like real text.
+// Results are { encoding, detectedBy: 'bom' | 'content' }, with WHATWG encoding names. readDeclaredCharset reads
+// the charset HTML and XML files name themselves.
+
+// Below this many bytes, alternating zeros say nothing about UTF-16.
+const MIN_UTF16_LENGTH = 16;
+// Only the start of large files is scored; that is plenty to tell encodings apart.
+const SAMPLE_LENGTH = 64 * 1024;
+// windows-1252 stays unless another encoding reads clearly better (scores are averages of at most 1) and there
+// are enough non-ASCII bytes to judge: a lone "©" or no-break space says nothing about the language.
+const MIN_SCORED_BYTES = 3;
+const SCORE_MARGIN = 0.1;
+
+// Offered as manual overrides, in the order they are tried after UTF-8.
+export const TEXT_ENCODINGS = [
+  'utf-8',
+  'utf-16le',
+  'utf-16be',
+  'windows-1252',
+  'windows-1250',
+  'windows-1251',
+  'windows-1253',
+  'windows-1254',
+  'windows-1255',
+  'windows-1256',
+  'windows-1257',
+  'windows-1258',
+  'iso-8859-2',
+  'iso-8859-5',
+  'iso-8859-7',
+  'iso-8859-15',
+  'shift_jis',
+  'gb18030',
+  'euc-kr'
+];
+
+const LEGACY_ENCODINGS = TEXT_ENCODINGS.filter((encoding) => !encoding.startsWith('utf-'));
+const CJK_ENCODINGS = new Set(['shift_jis', 'gb18030', 'euc-kr']);
+
+// The most frequent characters of Chinese and Korean text. Korean bytes decoded as GB18030 (and the reverse)
+// are valid but produce rare characters, so how many of these appear tells the two apart.
+const COMMON_HANZI = new Set(Array.from(
+  '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家'
+  + '种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实日月公司电话号码身份证'
+  + '姓名地址银行卡账户信息'
+));
+const COMMON_HANGUL = new Set(Array.from(
+  '이다의는에가을하고를기한지서사으로도리자대수해게있어정나인보시우니아주일거만상제전성요것부들음신계경화위관'
+  + '무장비번호주민등록전화카드계좌이름'
+));
+
+// The accented letters of the languages written in each single-byte encoding. Latin encodings map the same
+// bytes to different valid letters (French "è" is Czech "č"), but only the right decoding gives letters that
+// all belong to one language. Cyrillic and Greek list their most frequent letters instead: Hebrew or Russian
+// read in the wrong alphabet is full of rare ones (й, ш, щ, ъ; ξ, ΰ, ψ). Letters that wrong decodings keep
+// producing are left out: Icelandic "ý", which is Turkish "ı" read as windows-1252, and the Vietnamese letters
+// shared with Western and Polish text ("ê", "ó"); Vietnamese still scores through its own vowels and tone marks,
+// which windows-1258 writes as combining characters.
+const WESTERN_ALPHABETS = [
+  'àâæçéèêëîïôœùûüÿ', // French
+  'äöüß', // German
+  'áéíñóúü', // Spanish
+  'áâãàçéêíóôõú', // Portuguese
+  'àèéìíîòóùú', // Italian
+  'éëïöüèáó', // Dutch
+  'åäöé', // Swedish, Finnish
+  'æøåé', // Danish, Norwegian
+  'áðéíóúþæö', // Icelandic
+  'àçèéíïòóúü' // Catalan
+];
+const CENTRAL_EUROPEAN_ALPHABETS = [
+  'ąćęłńóśźż', // Polish
+  'áčďéěíňóřšťúůýž', // Czech
+  'áäčďéíĺľňóôŕšťúýž', // Slovak
+  'áéíóöőúüű', // Hungarian
+  'čćđšž', // Croatian, Slovenian, Bosnian
+  'ăâîşţ', // Romanian
+  'äöüß', // German
+  'çë' // Albanian
+];
+const CYRILLIC_ALPHABETS = ['оеаинтсрвлкмдпуяызьгбч', 'оаніивтерксдлмпуязїєґ'];
+const GREEK_ALPHABETS = ['αεηιοστνυρκπμλωάέήίόύώγδ'];
+const ENCODING_ALPHABETS = {
+  'windows-1252': WESTERN_ALPHABETS,
+  'iso-8859-15': [...WESTERN_ALPHABETS, 'àâæçéèêëîïôœùûüÿšž'],
+  'windows-1250': CENTRAL_EUROPEAN_ALPHABETS,
+  'iso-8859-2': CENTRAL_EUROPEAN_ALPHABETS,
+  'windows-1254': ['çğıi̇öşüâîû'],
+  'windows-1257': ['ąčęėįšųūž', 'āčēģīķļņšūž', 'äõöüšž'],
+  'windows-1258': ['âăêôơưđ'],
+  'windows-1251': CYRILLIC_ALPHABETS,
+  'iso-8859-5': CYRILLIC_ALPHABETS,
+  'windows-1253': GREEK_ALPHABETS,
+  'iso-8859-7': GREEK_ALPHABETS
+};
+// The script of the non-Latin encodings; their Latin letters (French in windows-1256) are uncommon.
+const ENCODING_SCRIPTS = {
+  'windows-1251': 'cyrillic',
+  'iso-8859-5': 'cyrillic',
+  'windows-1253': 'greek',
+  'iso-8859-7': 'greek',
+  'windows-1255': 'hebrew',
+  'windows-1256': 'arabic'
+};
+const UNCOMMON_LETTER_SCORE = 0.3;
+// Punctuation and currency signs that real text uses outside words.
+const COMMON_SYMBOLS = new Set(Array.from('€£¥¢©®°±×÷§¶–—‘’‚“”„†•…‰‹›«»·¡¿ '));
+const HEBREW_FINAL_FORMS = new Set(Array.from('ךםןףץ'));
+
+const matchesAt = (bytes, signature) => signature.every((byte, index) => bytes[index] === byte);
+
+// UTF-16 without a byte order mark shows up as a zero in every other byte of mostly-ASCII text.
+const detectUtf16 = (bytes) => {
+  const length = Math.min(bytes.length, 512) & ~1;
+  if (length < MIN_UTF16_LENGTH) {
+    return '';
+  }
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let index = 0; index < length; index += 2) {
+    evenZeros += bytes[index] === 0 ? 1 : 0;
+    oddZeros += bytes[index + 1] === 0 ? 1 : 0;
+  }
+  const pairs = length / 2;
+  if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.05) {
+    return 'utf-16le';
+  }
+  if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.05) {
+    return 'utf-16be';
+  }
+  return '';
+};
+
+// Returns { encoding, detectedBy } for a byte order mark or BOM-less UTF-16, or null.
+export const detectUnicodeEncoding = (bytes) => {
+  if (matchesAt(bytes, [0xef, 0xbb, 0xbf])) {
+    return { encoding: 'utf-8', detectedBy: 'bom' };
+  }
+  if (matchesAt(bytes, [0xff, 0xfe])) {
+    return { encoding: 'utf-16le', detectedBy: 'bom' };
+  }
+  if (matchesAt(bytes, [0xfe, 0xff])) {
+    return { encoding: 'utf-16be', detectedBy: 'bom' };
+  }
+  const utf16 = detectUtf16(bytes);
+  return utf16 ? { encoding: utf16, detectedBy: 'content' } : null;
+};
+
+const DECLARATION_LENGTH = 1024;
+const DECLARED_CHARSET_PATTERNS = [
+  /^\s*<\?xml[^>]*?\bencoding\s*=\s*["']([\w.:-]+)["']/i,
+  /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i
+];
+
+// Returns the charset named by an XML declaration or HTML meta tag in the first kilobyte, as a WHATWG encoding
+// name, or null when there is none or it is not supported. A UTF-16 declaration in ASCII-compatible bytes is
+// wrong by definition (HTML treats it as UTF-8) and is ignored.
+export const readDeclaredCharset = (bytes) => {
+  const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, DECLARATION_LENGTH));
+  const label = DECLARED_CHARSET_PATTERNS.map((pattern) => pattern.exec(head)?.[1]).find(Boolean);
+  if (!label) {
+    return null;
+  }
+  try {
+    const { encoding } = new TextDecoder(label);
+    return encoding.startsWith('utf-16') ? null : encoding;
+  } catch {
+    return null;
+  }
+};
+
+// `truncated` tolerates a character cut off at the end of a sample.
+const decodeStrict = (bytes, encoding, truncated = false) => {
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(bytes, { stream: truncated });
+  } catch {
+    return null;
+  }
+};
+
+const isBetween = (code, low, high) => code >= low && code <= high;
+
+// How likely a non-ASCII character is in text decoded with a CJK encoding (0-1).
+const scoreCjkChar = (char, encoding) => {
+  const code = char.codePointAt(0);
+  if (isBetween(code, 0x3000, 0x303f) || isBetween(code, 0xff01, 0xff5e)) {
+    return 1;
+  }
+  if (isBetween(code, 0x3040, 0x30ff)) {
+    return encoding === 'shift_jis' ? 1 : 0;
+  }
+  if (isBetween(code, 0xff61, 0xff9f)) {
+    return encoding === 'shift_jis' ? 0.1 : 0;
+  }
+  if (isBetween(code, 0xac00, 0xd7a3)) {
+    if (encoding !== 'euc-kr') {
+      return 0;
+    }
+    return COMMON_HANGUL.has(char) ? 1 : 0.5;
+  }
+  if (isBetween(code, 0x4e00, 0x9fff)) {
+    if (encoding === 'gb18030') {
+      return COMMON_HANZI.has(char) ? 1 : 0.5;
+    }
+    return encoding === 'shift_jis' ? 0.6 : 0.1;
+  }
+  return 0.1;
+};
+
+const getScript = (char) => {
+  if (/\p{Script=Latin}/u.test(char)) {
+    return 'latin';
+  }
+  if (/\p{Script=Cyrillic}/u.test(char)) {
+    return 'cyrillic';
+  }
+  if (/\p{Script=Greek}/u.test(char)) {
+    return 'greek';
+  }
+  if (/\p{Script=Hebrew}/u.test(char)) {
+    return 'hebrew';
+  }
+  if (/\p{Script=Arabic}/u.test(char)) {
+    return 'arabic';
+  }
+  return 'other';
+};
+
+// A word decoded with the wrong single-byte encoding mixes scripts ("cafй"), is made only of accented letters
+// ("Ïðèâåò") unless one language has them all (Polish "żółć"), switches to upper case mid-word ("ÐŸÑ") or has Hebrew final letters before its end.
+const isPlausibleWord = (word, alphabets) => {
+  const letters = Array.from(word).filter((char) => /\p{L}/u.test(char));
+  const scripts = new Set(letters.map(getScript));
+  if (scripts.size > 1 || scripts.has('other')) {
+    return false;
+  }
+  if (scripts.has('latin') && letters.length >= 3 && letters.every((char) => char.charCodeAt(0) > 0x7f)
+    && !alphabets.some((alphabet) => letters.every((char) => alphabet.includes(char.toLowerCase())))) {
+    return false;
+  }
+  if (scripts.has('hebrew') && letters.slice(0, -1).some((char) => HEBREW_FINAL_FORMS.has(char))) {
+    return false;
+  }
+  return !letters.slice(1).some((char, index) => /\p{Lu}/u.test(char) && /\p{Ll}/u.test(letters[index]));
+};
+
+// Letters of plausible words count 1 when they belong to the encoding's script and to one of its alphabets
+// (the best-matching alphabet is used), less otherwise; implausible words count against the decoding by their
+// number of non-ASCII characters, and so does a symbol inside a word (Polish "¹" for "ą").
+const scoreSingleByteText = (text, encoding) => {
+  const script = ENCODING_SCRIPTS[encoding] ?? 'latin';
+  const alphabets = ENCODING_ALPHABETS[encoding] ?? [''];
+  let score = 0;
+  const letterCounts = new Map();
+  for (const match of text.matchAll(/[\p{L}\p{M}]+|[^\p{L}\p{M}\s]/gu)) {
+    const token = match[0];
+    const nonAscii = Array.from(token).filter((char) => char.charCodeAt(0) > 0x7f);
+    if (!nonAscii.length) {
+      continue;
+    }
+    if (/\p{L}/u.test(token)) {
+      if (!isPlausibleWord(token, alphabets)) {
+        score -= nonAscii.length;
+        continue;
+      }
+      nonAscii.forEach((char) => {
+        if (/\p{L}/u.test(char)) {
+          const letter = char.toLowerCase();
+          letterCounts.set(letter, (letterCounts.get(letter) ?? 0) + 1);
+        } else {
+          score += 1;
+        }
+      });
+      continue;
+    }
+    const before = text[match.index - 1] ?? ' ';
+    const after = text[match.index + token.length] ?? ' ';
+    if (/\p{L}/u.test(before) && /\p{L}/u.test(after) && token !== '’' && token !== '·') {
+      score -= 1;
+    } else if (/\p{C}/u.test(token)) {
+      score -= 1;
+    } else {
+      score += COMMON_SYMBOLS.has(token) ? 0.5 : 0;
+    }
+  }
+  const letterScore = Math.max(...alphabets.map((alphabet) => Array.from(letterCounts).reduce(
+    (total, [letter, count]) => total
+      + count * (getScript(letter) === script && (!alphabet || alphabet.includes(letter)) ? 1 : UNCOMMON_LETTER_SCORE),
+    0
+  )));
+  return score + letterScore;
+};
+
+// Average plausibility (at most 1) of the non-ASCII characters of `text` decoded as `encoding`.
+const scoreDecoding = (text, encoding) => {
+  const nonAscii = Array.from(text).filter((char) => char.codePointAt(0) > 0x7f);
+  if (!nonAscii.length) {
+    return 0;
+  }
+  if (CJK_ENCODINGS.has(encoding)) {
+    return nonAscii.reduce((total, char) => total + scoreCjkChar(char, encoding), 0) / nonAscii.length;
+  }
+  return scoreSingleByteText(text, encoding) / nonAscii.length;
+};
+
+// Returns { encoding, detectedBy: 'bom' | 'content' }. Plain ASCII and valid UTF-8 are reported as UTF-8;
+// otherwise windows-1252, which accepts any byte, is kept unless a legacy encoding wins by SCORE_MARGIN.
+export const detectCharset = (bytes) => {
+  const unicode = detectUnicodeEncoding(bytes);
+  if (unicode) {
+    return unicode;
+  }
+  const sample = bytes.subarray(0, SAMPLE_LENGTH);
+  const truncated = sample.length < bytes.length;
+  if (sample.every((byte) => byte < 0x80)) {
+    return { encoding: 'utf-8', detectedBy: 'content' };
+  }
+  if (decodeStrict(sample, 'utf-8', truncated) !== null) {
+    return { encoding: 'utf-8', detectedBy: 'content' };
+  }
+  if (sample.filter((byte) => byte >= 0x80).length < MIN_SCORED_BYTES) {
+    return { encoding: 'windows-1252', detectedBy: 'content' };
+  }
+  const fallbackScore = Math.max(0, scoreDecoding(decodeStrict(sample, 'windows-1252', truncated) ?? '', 'windows-1252'));
+  let best = { encoding: 'windows-1252', score: fallbackScore + SCORE_MARGIN };
+  LEGACY_ENCODINGS.forEach((encoding) => {
+    const text = decodeStrict(sample, encoding, truncated);
+    const score = text === null ? -Infinity : scoreDecoding(text, encoding);
+    if (score > best.score) {
+      best = { encoding, score };
+    }
+  });
+  return { encoding: best.encoding, detectedBy: 'content' };
+};
@@ -1,3 +1,8 @@
+import { findKeywordMatches } from './keywordMatcher.js';
+import { applyMatchFilters, applyValidators } from './matchFilters.js';
+import { findPurviewFunctionMatches, hasPurviewFunction } from './purviewFunctions.js';
+import { translateRulePackRegex } from './regexTranslator.js';
+
 const SAMPLE_DETECTORS = [
   {
     id: 'email-address',
@@ -105,13 +110,54 @@ export const detectSensitiveInfo = (text, detectors) => {
       count: matches.length,
       confidence: Number(detector.confidence) || 50,
       sensitiveTypeId: detector.sensitiveTypeId?.trim() || '',
-      samples: matches.slice(0, 5).map((match) => match[0])
+      samples: matches.slice(0, 5).map((match) => match[0]),
+      instances: matches.map((match) => ({ start: match.index, end: match.index + match[0].length, value: match[0] })),
+      matches: mergeMatches(matches.filter((match) => match[0]).map((match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        value: match[0],
+        role: 'primary',
+        ref: detector.id,
+        confidence: Number(detector.confidence) || 50
+      })))
     });
   });
 
   return results;
 };
 
+export const CONFIDENCE_LEVELS = [
+  { id: 'low', label: 'Low', value: 65 },
+  { id: 'medium', label: 'Medium', value: 75 },
+  { id: 'high', label: 'High', value: 85 }
+];
+
+const confidenceRank = (levelId) => Math.max(0, CONFIDENCE_LEVELS.findIndex((level) => level.id === levelId));
+
+// Purview buckets confidence into low (65), medium (75) and high (85); anything under 75 counts as low.
+export const getConfidenceLevel = (confidence) => {
+  const value = Number(confidence) || 0;
+  return [...CONFIDENCE_LEVELS].reverse().find((level) => value >= level.value)?.id ?? 'low';
+};
+
+const emptyConfidenceCounts = () => Object.fromEntries(CONFIDENCE_LEVELS.map((level) => [level.id, 0]));
+
+// Unique instances compare values without separators or case, so "4111 1111 1111 1111" and
+// "4111-1111-1111-1111" are the same card number.
+export const normalizeInstanceValue = (value) => String(value ?? '').replace(/[\p{P}\p{Z}\s]/gu, '').toUpperCase();
+
+const sumCounts = (counts, fromRank = 0) => CONFIDENCE_LEVELS
+  .slice(fromRank)
+  .reduce((total, level) => total + (counts?.[level.id] ?? 0), 0);
+
+// An instance found by several patterns of the same SIT is counted once, at the highest level that matched it.
+// Offsets are only comparable within one stream, so matches from per-stream results keep their streamIndex.
+const tagMatchStream = (result) => (
+  result.streamIndex === undefined
+    ? result.matches
+    : result.matches?.map((match) => ({ ...match, streamIndex: result.streamIndex }))
+);
+
 export const aggregateClassificationResults = (classificationResults) => {
   const map = new Map();
   classificationResults.forEach((result) => {
@@ -119,26 +165,118 @@ export const aggregateClassificationResults = (classificationResults) => {
     if (!key) {
       return;
     }
-    const existing = map.get(key);
-    if (!existing) {
-      map.set(key, { ...result });
+    let entry = map.get(key);
+    if (!entry) {
+      entry = {
+        result: { ...result, matches: tagMatchStream(result) },
+        instanceEntries: new Map(),
+        untrackedCounts: emptyConfidenceCounts()
+      };
+      map.set(key, entry);
+    } else {
+      const existing = entry.result;
+      existing.confidence = Math.max(existing.confidence, result.confidence);
+      existing.recommendedConfidence = existing.recommendedConfidence ?? result.recommendedConfidence;
+      existing.reducedFidelity = Boolean(existing.reducedFidelity || result.reducedFidelity);
+      existing.matches = mergeMatches(existing.matches, tagMatchStream(result));
+      existing.samples = Array.from(new Set([...(existing.samples ?? []), ...(result.samples ?? [])])).slice(0, 5);
+    }
+    const level = getConfidenceLevel(result.confidence);
+    if (!result.instances) {
+      entry.untrackedCounts[level] += result.count;
       return;
     }
-    existing.count += result.count;
-    existing.confidence = Math.max(existing.confidence, result.confidence);
-    existing.samples = Array.from(new Set([...(existing.samples ?? []), ...(result.samples ?? [])])).slice(0, 5);
+    result.instances.forEach((instance) => {
+      const instanceKey = `${result.streamIndex ?? 0}:${instance.start}:${instance.end}`;
+      const current = entry.instanceEntries.get(instanceKey);
+      if (!current || confidenceRank(level) > confidenceRank(current.level)) {
+        entry.instanceEntries.set(instanceKey, { level, value: normalizeInstanceValue(instance.value) });
+      }
+    });
+  });
+  return Array.from(map.values()).map(({ result, instanceEntries, untrackedCounts }) => {
+    const { instances, streamIndex, ...rest } = result;
+    const confidenceCounts = { ...untrackedCounts };
+    const valueLevels = new Map();
+    instanceEntries.forEach(({ level, value }) => {
+      confidenceCounts[level] += 1;
+      const current = valueLevels.get(value);
+      if (!current || confidenceRank(level) > confidenceRank(current)) {
+        valueLevels.set(value, level);
+      }
+    });
+    // Evidence-only (affinity) matches have no instance values, so they count the same in both modes.
+    const uniqueConfidenceCounts = { ...untrackedCounts };
+    valueLevels.forEach((level) => {
+      uniqueConfidenceCounts[level] += 1;
+    });
+    return {
+      ...rest,
+      count: sumCounts(confidenceCounts),
+      uniqueCount: sumCounts(uniqueConfidenceCounts),
+      confidenceCounts,
+      uniqueConfidenceCounts,
+      confidenceLevel: getConfidenceLevel(rest.confidence)
+    };
   });
-  return Array.from(map.values());
 };
 
-export const buildGraphClassificationResults = (classificationResults) => aggregateClassificationResults(classificationResults)
+const resolveMinimumLevel = (result, threshold) => (
+  threshold === 'recommended' ? getConfidenceLevel(result.recommendedConfidence ?? 0) : threshold
+);
+
+// Keeps the instances (and evidence offsets) at or above the threshold: a level id or 'recommended',
+// which uses each SIT's recommendedConfidence. `count` becomes the count at the threshold.
+export const applyConfidenceThreshold = (aggregatedResults, threshold = 'low') => aggregatedResults
+  .map((result) => {
+    const minimumLevel = resolveMinimumLevel(result, threshold);
+    const minimumRank = confidenceRank(minimumLevel);
+    return {
+      ...result,
+      totalCount: result.count,
+      totalUniqueCount: result.uniqueCount,
+      count: sumCounts(result.confidenceCounts, minimumRank),
+      uniqueCount: sumCounts(result.uniqueConfidenceCounts, minimumRank),
+      minimumConfidenceLevel: minimumLevel,
+      matches: (result.matches ?? []).filter((match) => confidenceRank(getConfidenceLevel(match.confidence)) >= minimumRank)
+    };
+  })
+  .filter((result) => result.count > 0);
+
+// countMode 'unique' sends distinct instance values instead of every hit.
+export const buildGraphClassificationResults = (
+  classificationResults,
+  { threshold = 'low', countMode = 'total' } = {}
+) => applyConfidenceThreshold(aggregateClassificationResults(classificationResults), threshold)
   .filter((result) => result.sensitiveTypeId)
   .map((result) => ({
     sensitiveTypeId: result.sensitiveTypeId,
-    count: result.count,
-    confidenceLevel: result.confidence
+    count: countMode === 'unique' ? result.uniqueCount : result.count,
+    confidenceLevel: CONFIDENCE_LEVELS[confidenceRank(result.minimumConfidenceLevel)].value
   }));
 
+// Offsets kept per result for the evidence viewer; counts are unaffected by the cap.
+const MAX_RESULT_MATCHES = 1000;
+
+const mergeMatches = (...lists) => {
+  const seen = new Set();
+  return lists.flat()
+    .filter(Boolean)
+    .sort((a, b) => (a.streamIndex ?? 0) - (b.streamIndex ?? 0)
+      || a.start - b.start || a.end - b.end || (b.confidence ?? 0) - (a.confidence ?? 0))
+    .filter((match) => {
+      const key = `${match.streamIndex ?? 0}:${match.start}:${match.end}:${match.role}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_RESULT_MATCHES);
+};
+
+const toMatches = (instances, role) => instances.map(({ start, end, value, ref }) => ({ start, end, value, role, ref }));
+
 const mergeSamples = (existing, additional, limit = 5) => {
   const merged = [...existing];
   for (const entry of additional) {
@@ -155,122 +293,276 @@ const mergeSamples = (existing, additional, limit = 5) => {
   return merged.slice(0, limit);
 };
 
-const runPatternMatches = (text, pattern, flags) => {
+const runPatternMatches = (text, pattern, flags, group = 0) => {
   try {
-    const regex = new RegExp(pattern, flags);
-    const matches = Array.from(text.matchAll(regex));
-    return {
-      count: matches.length,
-      samples: matches.slice(0, 5).map((match) => match[0])
-    };
+    const flagSet = new Set(`${flags}gd`.split(''));
+    const regex = new RegExp(pattern, Array.from(flagSet).join(''));
+    const instances = [];
+    for (const match of text.matchAll(regex)) {
+      const captured = match.indices?.[group] ? group : 0;
+      const value = match[captured];
+      if (!value) {
+        continue;
+      }
+      const [start, end] = match.indices[captured];
+      instances.push({ start, end, value });
+    }
+    return instances;
   } catch (error) {
-    return { count: 0, samples: [] };
+    return [];
   }
 };
 
-const evaluateRegexNode = (text, node) => {
-  const parsed = parseRegexDefinition(node.pattern);
-  if (!parsed) {
-    return { matched: false, count: 0, samples: [] };
+const nodeCacheKey = (node) => {
+  if (node.type === 'function') {
+    const validatorIds = (node.validators ?? []).map((validatorSet) => validatorSet.id).join(',');
+    return `function:${node.name.toLowerCase()}${validatorIds ? `:${validatorIds}` : ''}`;
   }
-  const { count, samples } = runPatternMatches(text, parsed.source, parsed.flags);
-  const matchesRequired = node.minMatches || 1;
-  return {
-    matched: count >= matchesRequired,
-    count,
-    samples
-  };
+  return node.id ? `${node.type}:${node.id}` : node;
 };
 
-const evaluateKeywordNode = (text, node) => {
-  let totalCount = 0;
-  let sampleValues = [];
-  node.entries.forEach((entry) => {
-    const { count, samples } = runPatternMatches(text, entry.pattern, entry.flags);
-    if (count > 0) {
-      totalCount += count;
-      sampleValues = mergeSamples(sampleValues, samples);
+// A node skipped for this text (it ran past the time budget in an earlier task) fails every pattern that reaches
+// it rather than running again. onNodeStart is told which node is about to run, so a watchdog can name it.
+const collectNodeInstances = (text, node, cache) => {
+  const key = nodeCacheKey(node);
+  const ref = node.type === 'function' ? node.name : node.id;
+  if (cache.instances.has(key)) {
+    return cache.instances.get(key);
+  }
+  if (cache.skippedNodes.has(key)) {
+    const error = new Error(`"${ref}" was skipped on this stream after it exceeded the time budget`);
+    error.name = 'SkippedNodeError';
+    throw error;
+  }
+  cache.onNodeStart?.({ key, ref });
+  let instances = [];
+  if (node.type === 'regex') {
+    const translated = translateRulePackRegex(node.pattern);
+    if (translated.source !== null) {
+      const group = Number.parseInt(node.attributes?.primaryCapturingGroup, 10) || 0;
+      const matches = runPatternMatches(text, translated.source, translated.flags, translated.groupMap[group] ?? group);
+      instances = applyValidators(matches, node.validators);
     }
-  });
-  const matchesRequired = node.minMatches || 1;
-  return {
-    matched: totalCount >= matchesRequired,
-    count: totalCount,
-    samples: sampleValues
-  };
+  } else if (node.type === 'keyword') {
+    instances = findKeywordMatches(text, node.groups);
+  } else if (node.type === 'function') {
+    instances = applyValidators(findPurviewFunctionMatches(text, node.name), node.validators);
+  }
+  // Tag each hit with the rule pack element that produced it so the evidence viewer can name it.
+  instances = instances.map((instance) => ({ ...instance, ref }));
+  cache.instances.set(key, instances);
+  return instances;
 };
 
-const evaluateAnyNode = (text, node) => {
-  let totalCount = 0;
-  let sampleValues = [];
-  node.children.forEach((child) => {
-    const result = evaluateNode(text, child);
-    totalCount += result.count;
-    sampleValues = mergeSamples(sampleValues, result.samples);
-  });
-  const minMatches = node.minMatches ?? 1;
-  const maxMatches = node.maxMatches;
-  const withinMax = maxMatches === null || typeof maxMatches === 'undefined' || totalCount <= maxMatches;
+const buildWindow = (text, anchor, proximity) => {
+  if (!anchor || proximity === null || proximity === undefined || proximity === Infinity) {
+    return { start: 0, end: text.length };
+  }
   return {
-    matched: totalCount >= minMatches && withinMax,
-    count: totalCount,
-    samples: sampleValues
+    start: Math.max(0, anchor.start - proximity),
+    end: Math.min(text.length, anchor.end + proximity)
   };
 };
 
-const evaluateNode = (text, node) => {
-  if (!node) {
-    return { matched: false, count: 0, samples: [] };
+const instancesInWindow = (instances, window) => {
+  let low = 0;
+  let high = instances.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (instances[mid].start < window.start) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
   }
-  if (node.type === 'regex') {
-    return evaluateRegexNode(text, node);
+  const inside = [];
+  for (let i = low; i < instances.length && instances[i].start < window.end; i += 1) {
+    if (instances[i].end <= window.end) {
+      inside.push(instances[i]);
+    }
   }
-  if (node.type === 'keyword') {
-    return evaluateKeywordNode(text, node);
+  return inside;
+};
+
+// Supporting evidence only counts when it falls inside the proximity window around the anchor.
+// A Match-level proximity attribute overrides the pattern (or relaxed) window for that element.
+const evaluateNode = (text, node, context) => {
+  if (!node) {
+    return { matched: false, count: 0, evidence: [] };
   }
   if (node.type === 'any') {
-    return evaluateAnyNode(text, node);
+    let satisfied = 0;
+    let totalCount = 0;
+    let evidence = [];
+    node.children.forEach((child) => {
+      const result = evaluateNode(text, child, context);
+      if (result.matched) {
+        satisfied += 1;
+        totalCount += result.count;
+        evidence = evidence.concat(result.evidence);
+      }
+    });
+    const minMatches = node.minMatches ?? 1;
+    const maxMatches = node.maxMatches;
+    const withinMax = maxMatches === null || typeof maxMatches === 'undefined' || satisfied <= maxMatches;
+    return {
+      matched: satisfied >= minMatches && withinMax,
+      count: totalCount,
+      evidence
+    };
   }
-  return { matched: false, count: 0, samples: [] };
+  const proximity = typeof node.proximity === 'number' ? node.proximity : context.proximity;
+  const window = buildWindow(text, context.anchor, proximity);
+  const evidence = instancesInWindow(collectNodeInstances(text, node, context.cache), window);
+  const matchesRequired = node.minMatches || 1;
+  return {
+    matched: evidence.length >= matchesRequired,
+    count: evidence.length,
+    evidence
+  };
 };
 
-const evaluatePattern = (text, pattern) => {
-  let totalCount = 0;
-  let sampleValues = [];
-  for (const node of pattern.nodes) {
-    const result = evaluateNode(text, node);
-    if (!result.matched) {
-      return { matched: false };
+const collectSamples = (instances) => mergeSamples([], instances.map((instance) => instance.value));
+
+const evaluatePattern = (text, pattern, { relaxProximity = false, cache }) => {
+  const primary = pattern.nodes.find((node) => node.role === 'primary');
+  const supporting = pattern.nodes.filter((node) => node !== primary);
+
+  if (!primary) {
+    const context = { anchor: null, proximity: null, cache };
+    let totalCount = 0;
+    let evidence = [];
+    for (const node of supporting) {
+      const result = evaluateNode(text, node, context);
+      if (!result.matched) {
+        return { matched: false };
+      }
+      totalCount += result.count;
+      evidence = evidence.concat(result.evidence);
     }
-    totalCount += result.count;
-    sampleValues = mergeSamples(sampleValues, result.samples);
+    return {
+      matched: true,
+      count: totalCount,
+      samples: collectSamples(evidence),
+      matches: mergeMatches(toMatches(evidence, 'supporting')),
+      confidence: pattern.confidence ?? 50
+    };
+  }
+
+  const proximity = relaxProximity ? Infinity : (pattern.proximity ?? 300);
+  // Pattern and entity filters run against the IdMatch hits before any evidence is considered.
+  const anchors = applyMatchFilters(text, collectNodeInstances(text, primary, cache), pattern.filters);
+  const matchedAnchors = [];
+  // Windows around neighbouring anchors overlap, so the same instance is only kept once.
+  const supportingEvidence = new Set();
+  anchors.forEach((anchor) => {
+    const context = { anchor, proximity, cache };
+    const results = [];
+    for (const node of supporting) {
+      const result = evaluateNode(text, node, context);
+      if (!result.matched) {
+        return;
+      }
+      results.push(result);
+    }
+    matchedAnchors.push(anchor);
+    results.forEach((result) => {
+      result.evidence.forEach((instance) => supportingEvidence.add(instance));
+    });
+  });
+
+  if (matchedAnchors.length < (primary.minMatches || 1)) {
+    return { matched: false };
   }
   return {
     matched: true,
-    count: totalCount,
-    samples: sampleValues,
+    count: matchedAnchors.length,
+    samples: mergeSamples(collectSamples(matchedAnchors), [...supportingEvidence].map((instance) => instance.value)),
+    matches: mergeMatches(toMatches(matchedAnchors, 'primary'), toMatches([...supportingEvidence], 'supporting')),
+    instances: matchedAnchors.map(({ start, end, value }) => ({ start, end, value })),
     confidence: pattern.confidence ?? 50
   };
 };
 
-export const evaluateSitDetectors = (text, detectors) => {
-  if (!text || !detectors?.length) {
-    return [];
-  }
-  return detectors.map((detector) => {
-    const patternResult = evaluatePattern(text, detector.pattern);
+const collectFunctionNames = (nodes, names) => {
+  nodes.forEach((node) => {
+    if (node.type === 'function') {
+      names.add(node.name);
+    } else if (node.type === 'any') {
+      collectFunctionNames(node.children, names);
+    }
+  });
+  return names;
+};
+
+export const findUnknownFunctions = (detectors) => {
+  const names = new Set();
+  detectors.forEach((detector) => {
+    if (detector.pattern?.nodes) {
+      collectFunctionNames(detector.pattern.nodes, names);
+    }
+  });
+  return Array.from(names).filter((name) => !hasPurviewFunction(name));
+};
+
+const collectRegexNodes = (nodes, regexNodes) => {
+  nodes.forEach((node) => {
+    if (node.type === 'regex') {
+      regexNodes.push(node);
+    } else if (node.type === 'any') {
+      collectRegexNodes(node.children, regexNodes);
+    }
+  });
+  return regexNodes;
+};
+
+const findFidelityIssues = (pattern) => collectRegexNodes(pattern?.nodes ?? [], [])
+  .map((node) => ({ node, translated: translateRulePackRegex(node.pattern) }))
+  .filter(({ translated }) => translated.fidelity !== 'exact')
+  .flatMap(({ node, translated }) => translated.issues.map((issue) => `${node.id}: ${issue}`));
+
+export const findReducedFidelityDetectors = (detectors) => detectors
+  .map((detector) => ({ id: detector.id, name: detector.name, issues: findFidelityIssues(detector.pattern) }))
+  .filter((detector) => detector.issues.length > 0);
+
+// Returns an evaluator for a single SIT detector; keyword, regex and function hits are cached across calls.
+// options.skippedNodes holds the cache keys of nodes not to run on this text; options.onNodeStart({ key, ref })
+// is called before a node runs.
+export const createSitEvaluator = (text, { skippedNodes = new Set(), onNodeStart } = {}) => {
+  const cache = { instances: new Map(), skippedNodes, onNodeStart };
+  return (detector) => {
+    if (!text || !detector?.pattern) {
+      return null;
+    }
+    const patternResult = evaluatePattern(text, detector.pattern, {
+      relaxProximity: Boolean(detector.relaxProximity),
+      cache
+    });
     if (!patternResult.matched || patternResult.count === 0) {
       return null;
     }
+    const confidence = Math.max(detector.confidence ?? 50, patternResult.confidence ?? 50);
     return {
       id: detector.id,
       name: detector.name,
       description: detector.description,
       count: patternResult.count,
-      confidence: Math.max(detector.confidence ?? 50, patternResult.confidence ?? 50),
+      confidence,
+      recommendedConfidence: detector.recommendedConfidence,
       sensitiveTypeId: detector.sitId,
       samples: patternResult.samples,
+      instances: patternResult.instances,
+      matches: patternResult.matches.map((match) => ({ ...match, confidence })),
+      reducedFidelity: findFidelityIssues(detector.pattern).length > 0,
       source: 'rulepack'
     };
-  }).filter(Boolean);
+  };
+};
+
+export const evaluateSitDetectors = (text, detectors) => {
+  if (!text || !detectors?.length) {
+    return [];
+  }
+  const evaluate = createSitEvaluator(text);
+  return detectors.map(evaluate).filter(Boolean);
 };
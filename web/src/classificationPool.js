@@ -0,0 +1,184 @@
+import { detectSensitiveInfo, evaluateSitDetectors } from './classification.js';
+
+export const DEFAULT_RULE_TIME_BUDGET_MS = 2000;
+
+const MAX_WORKERS = 4;
+
+const createAbortError = () => {
+  const error = new Error('Classification was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const getPoolSize = (taskCount) => {
+  const cores = globalThis.navigator?.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1, taskCount));
+};
+
+const tagStream = (results, streamIndex) => results.map((result) => ({ ...result, streamIndex }));
+
+const classifyOnMainThread = ({ streams, sitDetectors, customDetectors, onProgress }) => {
+  const results = streams.flatMap((stream, streamIndex) => tagStream([
+    ...evaluateSitDetectors(stream.text, sitDetectors),
+    ...detectSensitiveInfo(stream.text, customDetectors)
+  ], streamIndex));
+  const total = streams.length * (sitDetectors.length + customDetectors.length);
+  onProgress?.({ completed: total, total, skipped: 0 });
+  return Promise.resolve({ results, skipped: [] });
+};
+
+// Evaluates every rule against every stream in a pool of workers; each result carries the `streamIndex`
+// it was found in. timeBudgetMs applies to each regex, keyword list or function a rule runs: the worker
+// announces every node it starts, and one that runs past the budget has its worker terminated and replaced
+// (a runaway regex cannot be interrupted any other way). The rule is reported in `skipped` with the node's id,
+// and the node is skipped on that stream from then on, so later rules that use it are reported without running it.
+export const classifyInWorkers = ({
+  streams = [],
+  sitDetectors = [],
+  customDetectors = [],
+  timeBudgetMs = DEFAULT_RULE_TIME_BUDGET_MS,
+  onProgress,
+  signal
+}) => {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  if (typeof Worker === 'undefined') {
+    return classifyOnMainThread({ streams, sitDetectors, customDetectors, onProgress });
+  }
+
+  const texts = streams.map((stream) => stream.text ?? '');
+  const tasks = texts.flatMap((text, streamIndex) => (text ? [
+    ...sitDetectors.map((detector, index) => ({ kind: 'sit', index, detector, streamIndex })),
+    ...customDetectors.map((detector, index) => ({ kind: 'custom', index, detector, streamIndex }))
+  ] : []));
+  const total = tasks.length;
+  if (!total) {
+    return Promise.resolve({ results: [], skipped: [] });
+  }
+
+  return new Promise((resolve, reject) => {
+    const results = new Array(total).fill(null);
+    const skipped = [];
+    // Cache keys of the nodes that ran past the budget, per stream index.
+    const skippedNodes = new Map();
+    const slots = [];
+    let nextTask = 0;
+    let completed = 0;
+    let settled = false;
+
+    const finish = (callback) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      slots.forEach((slot) => {
+        clearTimeout(slot.timer);
+        slot.worker.terminate();
+      });
+      signal?.removeEventListener('abort', handleAbort);
+      callback();
+    };
+
+    const handleAbort = () => {
+      finish(() => reject(createAbortError()));
+    };
+
+    const completeTask = () => {
+      completed += 1;
+      onProgress?.({ completed, total, skipped: skipped.length });
+      if (completed === total) {
+        finish(() => resolve({ results: results.filter(Boolean), skipped }));
+      }
+    };
+
+    const skipTask = (taskId, reason) => {
+      const { detector, streamIndex } = tasks[taskId];
+      skipped.push({ id: detector.id, name: detector.name, streamIndex, reason });
+      completeTask();
+    };
+
+    const dispatch = (slot) => {
+      if (settled || nextTask >= total) {
+        slot.taskId = null;
+        return;
+      }
+      const taskId = nextTask;
+      nextTask += 1;
+      slot.taskId = taskId;
+      slot.node = null;
+      const { kind, index, streamIndex } = tasks[taskId];
+      slot.worker.postMessage({ type: 'evaluate', taskId, kind, index, streamIndex });
+      slot.timer = setTimeout(() => handleTimeout(slot), timeBudgetMs);
+    };
+
+    const handleMessage = (slot, message) => {
+      if (message.type === 'ready') {
+        dispatch(slot);
+        return;
+      }
+      if (message.taskId !== slot.taskId) {
+        return;
+      }
+      clearTimeout(slot.timer);
+      if (message.type === 'node') {
+        slot.node = { key: message.key, ref: message.ref };
+        slot.timer = setTimeout(() => handleTimeout(slot), timeBudgetMs);
+        return;
+      }
+      if (message.type === 'result') {
+        results[message.taskId] = message.result && { ...message.result, streamIndex: tasks[message.taskId].streamIndex };
+        completeTask();
+      } else {
+        skipTask(message.taskId, message.message);
+      }
+      dispatch(slot);
+    };
+
+    const startWorker = (slot) => {
+      slot.worker = new Worker(new URL('./classificationWorker.js', import.meta.url), { type: 'module' });
+      slot.worker.addEventListener('message', (event) => handleMessage(slot, event.data));
+      slot.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        finish(() => reject(new Error(event.message || 'Classification worker failed to start.')));
+      });
+      slot.worker.postMessage({
+        type: 'init',
+        texts,
+        sitDetectors,
+        customDetectors,
+        skippedNodes: Array.from(skippedNodes, ([streamIndex, keys]) => [streamIndex, Array.from(keys)])
+      });
+    };
+
+    const handleTimeout = (slot) => {
+      const { taskId, node } = slot;
+      slot.worker.terminate();
+      if (!node) {
+        skipTask(taskId, `exceeded the ${timeBudgetMs} ms time budget`);
+      } else {
+        const { streamIndex } = tasks[taskId];
+        if (!skippedNodes.has(streamIndex)) {
+          skippedNodes.set(streamIndex, new Set());
+        }
+        skippedNodes.get(streamIndex).add(node.key);
+        slots.forEach((other) => {
+          if (other !== slot) {
+            other.worker.postMessage({ type: 'skipNode', streamIndex, key: node.key });
+          }
+        });
+        skipTask(taskId, `"${node.ref}" exceeded the ${timeBudgetMs} ms time budget`);
+      }
+      if (!settled) {
+        startWorker(slot);
+      }
+    };
+
+    signal?.addEventListener('abort', handleAbort);
+    for (let index = 0; index < getPoolSize(total); index += 1) {
+      const slot = { worker: null, taskId: null, timer: null, node: null };
+      slots.push(slot);
+      startWorker(slot);
+    }
+  });
+};
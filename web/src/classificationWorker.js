@@ -0,0 +1,57 @@
+import { createSitEvaluator, detectSensitiveInfo } from './classification.js';
+
+let texts = [];
+let sitDetectors = [];
+let customDetectors = [];
+let sitEvaluators = new Map();
+// Cache keys of the nodes the pool has skipped, per stream index.
+let skippedNodes = new Map();
+let currentTaskId = null;
+
+const getSkippedNodes = (streamIndex) => {
+  if (!skippedNodes.has(streamIndex)) {
+    skippedNodes.set(streamIndex, new Set());
+  }
+  return skippedNodes.get(streamIndex);
+};
+
+// Evaluators are built per stream on first use so their keyword/regex caches stay with that stream's text.
+// Each node is announced before it runs so the pool's watchdog knows which one to blame.
+const getSitEvaluator = (streamIndex) => {
+  let evaluate = sitEvaluators.get(streamIndex);
+  if (!evaluate) {
+    evaluate = createSitEvaluator(texts[streamIndex], {
+      skippedNodes: getSkippedNodes(streamIndex),
+      onNodeStart: ({ key, ref }) => self.postMessage({ type: 'node', taskId: currentTaskId, key, ref })
+    });
+    sitEvaluators.set(streamIndex, evaluate);
+  }
+  return evaluate;
+};
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (message.type === 'init') {
+    ({ texts, sitDetectors, customDetectors } = message);
+    sitEvaluators = new Map();
+    skippedNodes = new Map(message.skippedNodes.map(([streamIndex, keys]) => [streamIndex, new Set(keys)]));
+    self.postMessage({ type: 'ready' });
+    return;
+  }
+  if (message.type === 'skipNode') {
+    getSkippedNodes(message.streamIndex).add(message.key);
+    return;
+  }
+  if (message.type !== 'evaluate') {
+    return;
+  }
+  currentTaskId = message.taskId;
+  try {
+    const result = message.kind === 'sit'
+      ? getSitEvaluator(message.streamIndex)(sitDetectors[message.index])
+      : detectSensitiveInfo(texts[message.streamIndex], [customDetectors[message.index]])[0] ?? null;
+    self.postMessage({ type: 'result', taskId: message.taskId, result });
+  } catch (error) {
+    self.postMessage({ type: 'failed', taskId: message.taskId, message: error.message });
+  }
+});
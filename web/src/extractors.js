@@ -1,97 +1,121 @@
 import * as pdfjsLib from 'pdfjs-dist';
 import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
-import mammoth from 'mammoth/mammoth.browser';
-import MsgReader from 'msgreader';
 import { createWorker } from 'tesseract.js';
 import { Archive } from 'libarchive.js/dist/libarchive.js';
+import {
+  extractDocxParts,
+  extractTextFromOpenDocument,
+  extractTextFromPptx,
+  extractTextFromXlsx,
+  readEmbeddedParts,
+  readPackageProperties
+} from './officeExtractors.js';
+import {
+  extractDocParts,
+  extractTextFromPpt,
+  extractTextFromXls,
+  readCompoundFileProperties,
+  readOleObject
+} from './binaryOfficeExtractors.js';
+import { isCompoundFile } from './cfbReader.js';
+import { decodeBytes, getHeader, parseHeaders, parseMimeMessage } from './mimeParser.js';
+import { parseMsgFile } from './msgParser.js';
+import { resolveFileType, SOURCE_CODE_EXTENSIONS } from './fileTypeSniffer.js';
+import { detectCharset, detectUnicodeEncoding, readDeclaredCharset } from './charsetDetector.js';
+import { convertRtfToText } from './rtfParser.js';
+import { extractHtmlText, extractXmlText } from './markupExtractors.js';
+import { parseLabelHeader, parseLabelProperties } from './sensitivityLabels.js';
+import { readPdfAnnotations, readPdfBookmarks, readPdfFormFields, readPdfMetadata, readPdfPage } from './pdfExtractors.js';
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
 
 const IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'tif', 'tiff', 'bmp', 'gif', 'webp']);
 const ARCHIVE_EXTENSIONS = new Set(['zip', '7z', 'rar', 'tar', 'tgz', 'gz', 'xz', 'bz2']);
-const TEXT_EXTENSIONS = new Set(['txt', 'csv', 'md', 'json', 'eml']);
+const PACKAGE_EXTENSIONS = new Set(['docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp']);
+const TEXT_EXTENSIONS = new Set(['txt', 'csv', 'md', 'json', 'yaml', 'yml', 'log', ...SOURCE_CODE_EXTENSIONS]);
+const HTML_EXTENSIONS = new Set(['html', 'htm', 'xhtml']);
+const XML_EXTENSIONS = new Set(['xml', 'xsd', 'xsl', 'xslt']);
+const BINARY_OFFICE_EXTENSIONS = new Set(['doc', 'xls', 'ppt']);
 
-const MAX_ARCHIVE_DEPTH = 2;
+// How many containers deep (archives, attachments, embedded messages) extraction goes; options.maxDepth overrides it.
+export const DEFAULT_MAX_DEPTH = 2;
+// Limits applied to archive entries before they are inflated; options.archiveLimits overrides them.
+// Sizes are uncompressed bytes as recorded in the archive, which is what libarchive allocates per entry.
+// maxTotalBytes is shared by every archive in one extraction, however deeply nested.
+export const DEFAULT_ARCHIVE_LIMITS = {
+  maxEntries: 1000,
+  maxEntryBytes: 100 * 1024 * 1024,
+  maxTotalBytes: 256 * 1024 * 1024,
+  maxCompressionRatio: 100
+};
+// Small entries are not ratio-checked: a few hundred KB of repetitive text can legitimately compress 100:1.
+const MIN_RATIO_CHECK_BYTES = 1024 * 1024;
 const archiveWorkerUrl = '/libarchive.js/dist/worker-bundle.js';
 // Worker bundle must be served from the public directory so libarchive.js can load it.
 Archive.init({ workerUrl: archiveWorkerUrl });
 
-let ocrWorkerPromise = null;
-
-const getOcrWorker = () => {
-  if (!ocrWorkerPromise) {
-    ocrWorkerPromise = (async () => {
-      const worker = createWorker();
-      await worker.load();
-      await worker.loadLanguage('eng');
-      await worker.initialize('eng');
-      return worker;
-    })();
-  }
-  return ocrWorkerPromise;
-};
+// OCR streams whose mean word confidence (0-100) is below this are flagged for review.
+export const LOW_OCR_CONFIDENCE = 70;
+const DEFAULT_OCR_LANGUAGES = ['eng'];
 
-const runOcr = async (target) => {
-  const worker = await getOcrWorker();
-  const { data } = await worker.recognize(target);
-  return data?.text ?? '';
-};
+// One worker is kept for the current language set and paths; changing them replaces it.
+let ocrWorker = null;
 
-const decodeText = (buffer) => new TextDecoder('utf-8').decode(buffer);
+const getOcrLanguages = (ocr = {}) => (ocr.languages?.length ? ocr.languages : DEFAULT_OCR_LANGUAGES);
 
-const decodeMaybeText = (value) => {
-  if (!value) {
-    return '';
-  }
-  if (typeof value === 'string') {
-    return value;
-  }
-  if (value instanceof ArrayBuffer) {
-    return decodeText(value);
-  }
-  if (ArrayBuffer.isView(value)) {
-    return decodeText(value.buffer);
-  }
-  if (value.buffer && value.buffer instanceof ArrayBuffer) {
-    return decodeText(value.buffer);
-  }
-  return String(value);
-};
+// The Tesseract worker runs from a blob URL, where a relative path such as `/tessdata` cannot be resolved.
+const toAbsoluteUrl = (path) => (path && globalThis.location ? new URL(path, globalThis.location.href).href : path);
 
-const convertRtfToText = (value) => {
-  const rtf = decodeMaybeText(value);
-  if (!rtf) {
-    return '';
+// options.ocr: { languages, langPath, workerPath, corePath }. Empty paths use Tesseract.js defaults (its CDN).
+const getOcrWorker = (ocr = {}) => {
+  const languages = getOcrLanguages(ocr);
+  const workerOptions = Object.fromEntries(Object.entries({
+    langPath: toAbsoluteUrl(ocr.langPath),
+    workerPath: toAbsoluteUrl(ocr.workerPath),
+    corePath: toAbsoluteUrl(ocr.corePath)
+  }).filter(([, value]) => value));
+  const key = JSON.stringify([languages, workerOptions]);
+  if (ocrWorker?.key === key) {
+    return ocrWorker.promise;
   }
-  let text = rtf;
-  text = text.replace(/\\par[d]?/gi, '\n');
-  text = text.replace(/\\line\b/gi, '\n');
-  text = text.replace(/\\'[0-9a-f]{2}/gi, (match) => {
-    const hex = match.slice(2);
-    return String.fromCharCode(Number.parseInt(hex, 16));
-  });
-  text = text.replace(/\\u(-?\d+)\??/g, (_, num) => {
-    const valueNumber = Number(num);
-    const codePoint = valueNumber < 0 ? 65536 + valueNumber : valueNumber;
-    if (!Number.isFinite(codePoint)) {
-      return '';
+  const previous = ocrWorker;
+  const promise = createWorker(languages, undefined, workerOptions).catch((error) => {
+    if (ocrWorker?.key === key) {
+      ocrWorker = null;
     }
-    return String.fromCharCode(codePoint);
+    const location = workerOptions.langPath ? ` from ${workerOptions.langPath}` : '';
+    throw new Error(`OCR language data (${languages.join('+')}) could not be loaded${location}: ${error?.message ?? error}`);
   });
-  text = text.replace(/\\\\/g, '\\');
-  text = text.replace(/\\[a-z]+-?\d*/gi, '');
-  text = text.replace(/[{}]/g, '');
-  text = text.replace(/[\r\n]+/g, '\n');
-  return text.replace(/\s+/g, ' ').trim();
+  ocrWorker = { key, promise };
+  previous?.promise.then((worker) => worker.terminate(), () => {});
+  return promise;
 };
 
-const stripHtml = (html) => {
-  if (!html) {
-    return '';
-  }
-  const container = document.createElement('div');
-  container.innerHTML = html;
-  return container.textContent ?? '';
+// Returns { text, confidence, words: [{ text, confidence, bbox: { x0, y0, x1, y1 } }] } for one page or image.
+const runOcr = async (target, ocr) => {
+  const worker = await getOcrWorker(ocr);
+  const { data } = await worker.recognize(target, {}, { text: true, blocks: true });
+  const words = (data?.blocks ?? [])
+    .flatMap((block) => block.paragraphs)
+    .flatMap((paragraph) => paragraph.lines)
+    .flatMap((line) => line.words)
+    .map((word) => ({ text: word.text, confidence: Math.round(word.confidence), bbox: word.bbox }));
+  return { text: data?.text ?? '', confidence: Math.round(data?.confidence ?? 0), words };
+};
+
+// The stream's confidence is the mean over all recognised words, so a page of clean text outweighs a stray logo.
+// Images in which no words were found (photos, logos) have nothing to misread and are not flagged.
+const summarizeOcr = (pages, ocr) => {
+  const words = pages.flatMap((page) => page.words);
+  const confidence = words.length
+    ? Math.round(words.reduce((total, word) => total + word.confidence, 0) / words.length)
+    : 0;
+  return {
+    languages: getOcrLanguages(ocr),
+    confidence,
+    lowConfidence: words.length > 0 && confidence < LOW_OCR_CONFIDENCE,
+    pages
+  };
 };
 
 const getExtension = (name = '') => {
@@ -99,20 +123,135 @@ const getExtension = (name = '') => {
   return parts.length > 1 ? parts[parts.length - 1].toLowerCase() : '';
 };
 
-const flattenArchiveEntries = (node, prefix = '') => {
-  const entries = [];
-  if (!node || typeof node !== 'object') {
-    return entries;
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  msg: 'application/vnd.ms-outlook',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  cfb: 'application/x-ole-storage',
+  eml: 'message/rfc822',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  md: 'text/markdown',
+  json: 'application/json',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  log: 'text/plain',
+  rtf: 'application/rtf',
+  html: 'text/html',
+  htm: 'text/html',
+  xhtml: 'application/xhtml+xml',
+  xml: 'application/xml',
+  xsd: 'application/xml',
+  xsl: 'application/xslt+xml',
+  xslt: 'application/xslt+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  bmp: 'image/bmp',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  zip: 'application/zip',
+  '7z': 'application/x-7z-compressed',
+  rar: 'application/vnd.rar',
+  tar: 'application/x-tar',
+  tgz: 'application/gzip',
+  gz: 'application/gzip',
+  xz: 'application/x-xz',
+  bz2: 'application/x-bzip2',
+  // Source code is scanned as plain text.
+  ...Object.fromEntries(SOURCE_CODE_EXTENSIONS.map((extension) => [extension, 'text/plain']))
+};
+
+const getMaxDepth = (options) => options.maxDepth ?? DEFAULT_MAX_DEPTH;
+
+export const getMimeType = (name) => MIME_TYPES[getExtension(name)] ?? 'application/octet-stream';
+
+const joinContainerPath = (containerPath, name) => (containerPath ? `${containerPath}/${name}` : name);
+
+// One extracted stream, the equivalent of an ExtractedStream in Test-TextExtraction output.
+// containerPath lists the enclosing containers (e.g. `outer.zip/inner.zip`) and is empty at the top level.
+// OCR streams carry `ocr`: { languages, confidence, lowConfidence, pages: [{ page, confidence, words }] }.
+// Text, HTML and XML files record how they were decoded in `encoding`:
+// { name, detectedBy: 'bom' | 'declared' | 'content' | 'override' }.
+// A document's own stream lists the sensitivity labels already applied to it in `sensitivityLabels` (see
+// sensitivityLabels.js); the streams inside it do not repeat them.
+// Entries that were not extracted have method 'skipped', and password-protected items that could not be
+// opened have method 'encrypted' (Purview's "not scanned"); both have no text and a `warning` saying why.
+export const createStream = ({
+  name,
+  containerPath = '',
+  mimeType,
+  method = 'native',
+  text = '',
+  ocr = null,
+  warning = null,
+  encoding = null,
+  sensitivityLabels = []
+}) => ({
+  name,
+  containerPath,
+  mimeType: mimeType ?? getMimeType(name),
+  method,
+  text,
+  ocr,
+  warning,
+  encoding,
+  sensitivityLabels
+});
+
+const createSkippedStream = ({ name, containerPath, warning }) => createStream({
+  name,
+  containerPath,
+  mimeType: getMimeType(name),
+  method: 'skipped',
+  warning
+});
+
+const createEncryptedError = (message) => {
+  const error = new Error(message);
+  error.name = 'EncryptedContentError';
+  return error;
+};
+
+const describeMissingPassword = (options) => (options.password
+  ? 'The password was not accepted.'
+  : 'Enter the password and run the extraction again.');
+
+// libarchive reports missing or wrong passphrases and unsupported encryption through its error messages.
+const isEncryptionError = (error) => /passphrase|encrypt|decrypt/i.test(error?.message ?? '');
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
   }
-  Object.entries(node).forEach(([key, value]) => {
-    const entryName = prefix ? `${prefix}/${key}` : key;
-    if (value instanceof File) {
-      entries.push({ file: value, name: entryName });
-    } else if (value && typeof value === 'object') {
-      entries.push(...flattenArchiveEntries(value, entryName));
-    }
-  });
-  return entries;
+  return bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} bytes`;
+};
+
+// Why an archive entry must not be inflated, or '' when it is within the limits. An entry's compressed size
+// cannot exceed the archive's, so size / archive size is a lower bound on its compression ratio.
+const getArchiveSkipReason = ({ size, archiveBytes, extractedBytes, limits }) => {
+  if (size > limits.maxEntryBytes) {
+    return `Not extracted: ${formatBytes(size)} uncompressed exceeds the ${formatBytes(limits.maxEntryBytes)} limit per entry.`;
+  }
+  if (size >= MIN_RATIO_CHECK_BYTES && size / archiveBytes > limits.maxCompressionRatio) {
+    return `Not extracted: expands to ${formatBytes(size)} from a ${formatBytes(archiveBytes)} archive, `
+      + `a compression ratio above ${limits.maxCompressionRatio}:1 (possible zip bomb).`;
+  }
+  if (extractedBytes + size > limits.maxTotalBytes) {
+    return `Not extracted: the extraction would exceed the ${formatBytes(limits.maxTotalBytes)} `
+      + 'limit on total uncompressed size across all archives.';
+  }
+  return '';
 };
 
 const renderPageToCanvas = async (page) => {
@@ -125,132 +264,644 @@ const renderPageToCanvas = async (page) => {
   return canvas;
 };
 
-const extractTextFromPdf = async (buffer) => {
-  const pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
-  const textByPage = [];
-  let totalLength = 0;
-  for (let i = 1; i <= pdf.numPages; i += 1) {
-    const page = await pdf.getPage(i);
-    const textContent = await page.getTextContent();
-    const pageText = textContent.items.map((item) => item.str).join(' ');
-    textByPage.push(pageText);
-    totalLength += pageText.trim().length;
-  }
-  const extracted = textByPage.join('\n');
-  if (totalLength > 10) {
-    return extracted;
+// Annotations, form fields, bookmarks and metadata are streams inside the PDF, like a message's Metadata.
+const extractPdfDocumentStreams = async (pdf, pdfPath, metadata) => {
+  const parts = [
+    ['Annotations', await readPdfAnnotations(pdf)],
+    ['Form fields', await readPdfFormFields(pdf)],
+    ['Bookmarks', await readPdfBookmarks(pdf)],
+    ['Metadata', formatMetadata(metadata)]
+  ];
+  return parts
+    .filter(([, text]) => text.trim())
+    .map(([partName, text]) => createStream({ name: partName, containerPath: pdfPath, mimeType: 'text/plain', text }));
+};
+
+// Each page is read natively or OCR'd on its own (see readPdfPage), so a scanned appendix in a digital PDF is
+// still read. The document's stream holds the native pages; OCR'd pages go to an `OCR pages` stream inside it,
+// or make up the document's stream when every page was OCR'd. stream.ocr.pages lists the OCR'd pages.
+const openPdf = async (buffer, options) => {
+  try {
+    return await pdfjsLib.getDocument({ data: buffer, password: options.password || undefined }).promise;
+  } catch (error) {
+    if (error?.name === 'PasswordException') {
+      throw createEncryptedError(`PDF is password protected. ${describeMissingPassword(options)}`);
+    }
+    throw error;
   }
+};
+
+const extractTextFromPdf = async ({ buffer, name, containerPath, mimeType, options }) => {
+  const pdf = await openPdf(buffer, options);
+  const pdfPath = joinContainerPath(containerPath, name);
+  const nativeTexts = [];
+  const ocrTexts = [];
   const ocrPages = [];
   for (let i = 1; i <= pdf.numPages; i += 1) {
-    const page = await pdf.getPage(i);
+    const { page, text, needsOcr } = await readPdfPage(pdf, i);
+    if (!needsOcr) {
+      nativeTexts.push(text);
+      continue;
+    }
     const canvas = await renderPageToCanvas(page);
-    const ocrText = await runOcr(canvas);
-    if (ocrText.trim()) {
-      ocrPages.push(ocrText);
+    const result = await runOcr(canvas, options.ocr);
+    if (result.text.trim()) {
+      ocrTexts.push(result.text);
     }
+    ocrPages.push({ page: i, confidence: result.confidence, words: result.words });
+  }
+  // Office exports the labels into both the document information and XMP; parseLabelProperties merges them.
+  const metadata = await readPdfMetadata(pdf);
+  const sensitivityLabels = parseLabelProperties(metadata);
+  const streams = [];
+  if (!ocrPages.length || nativeTexts.length) {
+    streams.push(createStream({ name, containerPath, mimeType, text: nativeTexts.join('\n'), sensitivityLabels }));
+  }
+  if (ocrPages.length) {
+    const ocrStream = {
+      mimeType,
+      method: 'ocr',
+      text: ocrTexts.join('\n\n'),
+      ocr: summarizeOcr(ocrPages, options.ocr)
+    };
+    streams.push(nativeTexts.length
+      ? createStream({ ...ocrStream, name: 'OCR pages', containerPath: pdfPath })
+      : createStream({ ...ocrStream, name, containerPath, sensitivityLabels }));
   }
-  return ocrPages.join('\n\n');
+  return [...streams, ...await extractPdfDocumentStreams(pdf, pdfPath, metadata)];
 };
 
-const extractTextFromDocx = async (buffer) => {
-  const result = await mammoth.extractRawText({ arrayBuffer: buffer });
-  return result.value ?? '';
+// Label metadata is informational: a damaged property set leaves the document unlabelled rather than unread.
+const readOfficeLabels = async (buffer, extension) => {
+  try {
+    return parseLabelProperties(BINARY_OFFICE_EXTENSIONS.has(extension)
+      ? readCompoundFileProperties(buffer)
+      : await readPackageProperties(buffer));
+  } catch {
+    return [];
+  }
 };
 
-const extractTextFromMsg = (buffer) => {
-  try {
-    const msgReader = new MsgReader(buffer);
-    const message = msgReader.getFileData();
-    const html = stripHtml(decodeMaybeText(message.bodyHTML));
-    if (html) {
-      return html;
+// The body keeps the document's name; headers, comments, revisions and the other parts are streams inside it.
+const extractTextFromWordDocument = async (source) => {
+  const { buffer, name, containerPath, extension, mimeType, options } = source;
+  const parts = extension === 'doc'
+    ? extractDocParts(buffer)
+    : await extractDocxParts(buffer, { includeRevisions: options.includeRevisions !== false });
+  const partContainerPath = joinContainerPath(containerPath, name);
+  const sensitivityLabels = await readOfficeLabels(buffer, extension);
+  return [
+    ...parts.map((part) => (part.id === 'body'
+      ? createStream({ name, containerPath, mimeType, text: part.text, sensitivityLabels })
+      : createStream({
+        name: part.name,
+        containerPath: partContainerPath,
+        mimeType: part.mimeType ?? mimeType,
+        text: part.text
+      }))),
+    ...await extractEmbeddedStreams(source)
+  ];
+};
+
+// Spreadsheets, presentations and OpenDocument files are read from their zip parts by officeExtractors.js;
+// the 97-2003 binary formats from their compound-file streams by binaryOfficeExtractors.js.
+const OFFICE_EXTRACTORS = {
+  xlsx: extractTextFromXlsx,
+  xls: extractTextFromXls,
+  pptx: extractTextFromPptx,
+  ppt: extractTextFromPpt,
+  odt: extractTextFromOpenDocument,
+  ods: extractTextFromOpenDocument,
+  odp: extractTextFromOpenDocument
+};
+
+const extractTextFromOfficePackage = async (source) => {
+  const { buffer, name, containerPath, extension, mimeType } = source;
+  const extract = OFFICE_EXTRACTORS[extension];
+  return [
+    createStream({
+      name,
+      containerPath,
+      mimeType,
+      text: await extract(buffer),
+      sensitivityLabels: await readOfficeLabels(buffer, extension)
+    }),
+    ...await extractEmbeddedStreams(source)
+  ];
+};
+
+const getFileName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Embedded workbooks, documents, PDFs and (with options.ocrEmbeddedImages) pictures in OOXML and ODF packages
+// are extracted like attachments, under the path of the part that holds them. OLE objects are unwrapped first;
+// when the object records the embedded file's name, the stream takes that name inside the object's part.
+const extractEmbeddedStreams = async ({ buffer, name, containerPath, extension, depth, options }) => {
+  if (!PACKAGE_EXTENSIONS.has(extension) || depth >= getMaxDepth(options)) {
+    return [];
+  }
+  const packagePath = joinContainerPath(containerPath, name);
+  const parts = await readEmbeddedParts(buffer, { includeImages: options.ocrEmbeddedImages === true });
+  const items = parts.map((part) => {
+    const partName = getFileName(part.path);
+    const folderPath = joinContainerPath(packagePath, part.path.slice(0, -partName.length - 1));
+    if (part.kind !== 'object' || !isCompoundFile(part.data)) {
+      return { name: partName, containerPath: folderPath, buffer: part.data };
     }
-    const rtf = convertRtfToText(message.bodyRTF ?? message.bodyRtf ?? message.body);
-    if (rtf) {
-      return rtf;
+    let object;
+    try {
+      object = readOleObject(part.data);
+    } catch (error) {
+      return { name: partName, containerPath: folderPath, warning: `Not extracted: ${error.message}` };
     }
-    const plainBody = decodeMaybeText(message.body);
-    if (plainBody) {
-      return plainBody;
+    return object.name
+      ? { name: object.name, containerPath: joinContainerPath(folderPath, partName), buffer: object.buffer }
+      : { name: partName, containerPath: folderPath, buffer: object.buffer };
+  });
+  return extractNestedStreams(items, { containerPath: packagePath, depth, options });
+};
+
+const extractTextFromImage = async ({ buffer, name, containerPath, mimeType, options }) => {
+  const blob = new Blob([buffer]);
+  const result = await runOcr(blob, options.ocr);
+  return [createStream({
+    name,
+    containerPath,
+    mimeType,
+    method: 'ocr',
+    text: result.text.trim(),
+    ocr: summarizeOcr([{ page: 1, confidence: result.confidence, words: result.words }], options.ocr)
+  })];
+};
+
+const formatMetadata = (fields) => fields
+  .filter(([, value]) => value)
+  .map(([label, value]) => `${label}: ${value}`)
+  .join('\n');
+
+const toFileName = (value, fallback) => (value || fallback).replace(/[\\/:*?"<>|]/g, '_').trim() || fallback;
+
+// Messages report their main body under the message's own name. The headers (Metadata) and any further
+// bodies are streams inside it, followed by the attachments.
+const createMessageStreams = ({ name, containerPath, mimeType, bodies, metadata, sensitivityLabels }) => {
+  const messagePath = joinContainerPath(containerPath, name);
+  const [main = { text: '' }, ...others] = bodies;
+  return [
+    createStream({ name, containerPath, mimeType, text: main.text, sensitivityLabels }),
+    createStream({ name: 'Metadata', containerPath: messagePath, mimeType: 'text/plain', text: metadata }),
+    ...others.map((body, index) => createStream({
+      name: `Body ${index + 2}`,
+      containerPath: messagePath,
+      mimeType: body.mimeType,
+      text: body.text
+    }))
+  ];
+};
+
+// Attachments and embedded objects go back through extractTextFromBuffer. An item that cannot be read (an
+// unsupported type, a damaged file, or one that arrives with a `warning`) becomes a skipped stream rather than
+// failing the whole container. Embedded .msg items arrive already parsed. A container at the nesting limit keeps
+// them closed. Items may carry their own containerPath.
+const extractNestedStreams = async (attachments, { containerPath, depth, options }) => {
+  if (depth >= getMaxDepth(options)) {
+    return [];
+  }
+  const streams = [];
+  for (const attachment of attachments) {
+    const source = {
+      name: attachment.name,
+      containerPath: attachment.containerPath ?? containerPath,
+      depth: depth + 1,
+      options
+    };
+    const skip = (warning) => streams.push(createSkippedStream({ ...source, warning }));
+    if (attachment.warning) {
+      skip(attachment.warning);
+      continue;
+    }
+    try {
+      streams.push(...(attachment.message
+        ? await extractMsgMessage({ ...source, message: attachment.message })
+        : await extractTextFromBuffer({ ...source, buffer: attachment.buffer })));
+    } catch (error) {
+      skip(`Not extracted: ${error.message}`);
     }
-    return message.subject ?? '';
-  } catch {
-    return '';
   }
+  return streams;
 };
 
-const extractTextFromImage = async (buffer) => {
-  const blob = new Blob([buffer]);
-  return (await runOcr(blob)).trim();
+const extensionForMimeType = (mimeType) => (
+  Object.keys(MIME_TYPES).find((extension) => MIME_TYPES[extension] === mimeType?.toLowerCase()) ?? 'bin'
+);
+
+// Attachment names get an extension from their MIME type when they lack one; it decides when content is ambiguous.
+const withExtension = (name, extension) => (getExtension(name) ? name : `${name}.${extension}`);
+
+// --- MSG ---
+
+const formatRecipients = (message, type, fallback) => {
+  const recipients = message.recipients
+    .filter((recipient) => recipient.type === type)
+    .map(({ name, email }) => (name && email && name !== email ? `${name} <${email}>` : name || email));
+  return recipients.length ? recipients.join('; ') : fallback;
+};
+
+// Outlook keeps the same body in up to three formats; the RTF one is used only when it is the sole body.
+const readMsgBody = (message) => {
+  const html = extractHtmlText(message.html);
+  if (html.trim()) {
+    return html;
+  }
+  return message.body.trim() ? message.body : convertRtfToText(message.rtf);
+};
+
+const getMsgAttachments = (message) => message.attachments
+  .map((attachment, index) => {
+    if (attachment.message) {
+      const name = toFileName(attachment.name || attachment.message.subject, 'message');
+      return { name: getExtension(name) === 'msg' ? name : `${name}.msg`, message: attachment.message };
+    }
+    if (!attachment.data) {
+      return null;
+    }
+    const name = toFileName(attachment.name, `attachment-${index + 1}`);
+    return { name: withExtension(name, extensionForMimeType(attachment.mimeType)), buffer: attachment.data.buffer };
+  })
+  .filter(Boolean);
+
+const extractMsgMessage = async ({ message, name, containerPath, mimeType, depth, options }) => {
+  const attachments = getMsgAttachments(message);
+  const sender = message.senderName && message.senderEmail && message.senderName !== message.senderEmail
+    ? `${message.senderName} <${message.senderEmail}>`
+    : message.senderName || message.senderEmail;
+  const metadata = formatMetadata([
+    ['Subject', message.subject],
+    ['From', sender],
+    ['To', formatRecipients(message, 'to', message.displayTo)],
+    ['Cc', formatRecipients(message, 'cc', message.displayCc)],
+    ['Bcc', formatRecipients(message, 'bcc', message.displayBcc)],
+    ['Attachments', attachments.map((attachment) => attachment.name).join('; ')]
+  ]);
+  // Sent and saved messages keep the label in a named property; received ones also have it in their headers.
+  const sensitivityLabels = parseLabelHeader(
+    message.labels || parseHeaders(message.transportHeaders).get('msip_labels')
+  );
+  return [
+    ...createMessageStreams({
+      name,
+      containerPath,
+      mimeType,
+      bodies: [{ text: readMsgBody(message) }],
+      metadata,
+      sensitivityLabels
+    }),
+    ...await extractNestedStreams(attachments, { containerPath: joinContainerPath(containerPath, name), depth, options })
+  ];
+};
+
+const extractTextFromMsg = ({ buffer, name, containerPath, mimeType, depth, options }) => extractMsgMessage({
+  message: parseMsgFile(buffer),
+  name,
+  containerPath,
+  mimeType,
+  depth,
+  options
+});
+
+// --- EML ---
+
+const MESSAGE_HEADERS = [
+  ['subject', 'Subject'],
+  ['from', 'From'],
+  ['to', 'To'],
+  ['cc', 'Cc'],
+  ['bcc', 'Bcc'],
+  ['date', 'Date']
+];
+
+const isMimeBodyPart = (entity) => !entity.filename
+  && entity.disposition !== 'attachment'
+  && (entity.mimeType === 'text/plain' || entity.mimeType === 'text/html');
+
+const readMimeBodyText = (entity) => {
+  const text = decodeBytes(entity.content, entity.charset);
+  return entity.mimeType === 'text/html' ? extractHtmlText(text) : text;
+};
+
+// Only the last readable rendering of a multipart/alternative is kept (RFC 2046 orders them plainest first),
+// so the same body is not counted twice.
+const collectMimeParts = (entity, bodies, attachments) => {
+  if (entity.mimeType === 'multipart/alternative' && entity.parts.length) {
+    const preferred = [...entity.parts].reverse().find((part) => part.parts.length || isMimeBodyPart(part));
+    collectMimeParts(preferred ?? entity.parts[entity.parts.length - 1], bodies, attachments);
+    return;
+  }
+  if (entity.parts.length) {
+    entity.parts.forEach((part) => collectMimeParts(part, bodies, attachments));
+    return;
+  }
+  if (!entity.content) {
+    return;
+  }
+  if (isMimeBodyPart(entity)) {
+    bodies.push(entity);
+  } else {
+    attachments.push(entity);
+  }
+};
+
+const getMimeAttachmentName = (entity, index) => {
+  if (entity.mimeType === 'message/rfc822') {
+    const name = toFileName(entity.filename || getHeader(parseMimeMessage(entity.content), 'subject'), 'message');
+    return getExtension(name) === 'eml' ? name : `${name}.eml`;
+  }
+  return withExtension(toFileName(entity.filename, `attachment-${index + 1}`), extensionForMimeType(entity.mimeType));
+};
+
+const extractTextFromEml = async ({ buffer, name, containerPath, mimeType, depth, options }) => {
+  const message = parseMimeMessage(buffer);
+  const bodies = [];
+  const attachmentEntities = [];
+  collectMimeParts(message, bodies, attachmentEntities);
+  const attachments = attachmentEntities.map((entity, index) => ({
+    name: getMimeAttachmentName(entity, index),
+    buffer: entity.content.buffer
+  }));
+  const metadata = formatMetadata([
+    ...MESSAGE_HEADERS.map(([header, label]) => [label, getHeader(message, header)]),
+    ['Attachments', attachments.map((attachment) => attachment.name).join('; ')]
+  ]);
+  return [
+    ...createMessageStreams({
+      name,
+      containerPath,
+      mimeType,
+      bodies: bodies.map((body) => ({ mimeType: body.mimeType, text: readMimeBodyText(body) })),
+      metadata,
+      sensitivityLabels: parseLabelHeader(getHeader(message, 'msip_labels'))
+    }),
+    ...await extractNestedStreams(attachments, { containerPath: joinContainerPath(containerPath, name), depth, options })
+  ];
+};
+
+// options.encoding forces a charset for every text file. Otherwise a byte order mark decides, then the charset
+// HTML and XML files declare, and finally detection (see charsetDetector.js).
+const detectTextEncoding = (bytes, options, markup = false) => {
+  if (options.encoding) {
+    return { encoding: options.encoding, detectedBy: 'override' };
+  }
+  const declared = markup && !detectUnicodeEncoding(bytes) ? readDeclaredCharset(bytes) : null;
+  return declared ? { encoding: declared, detectedBy: 'declared' } : detectCharset(bytes);
+};
+
+const extractTextFromPlainText = ({ buffer, name, containerPath, mimeType, options }) => {
+  const bytes = new Uint8Array(buffer);
+  const { encoding, detectedBy } = detectTextEncoding(bytes, options);
+  return [createStream({
+    name,
+    containerPath,
+    mimeType,
+    text: decodeBytes(bytes, encoding),
+    encoding: { name: encoding, detectedBy }
+  })];
+};
+
+// HTML keeps the text a browser shows; XML keeps element text and attribute values (see markupExtractors.js).
+const extractTextFromMarkup = ({ buffer, name, containerPath, extension, mimeType, options }) => {
+  const bytes = new Uint8Array(buffer);
+  const { encoding, detectedBy } = detectTextEncoding(bytes, options, true);
+  const markup = decodeBytes(bytes, encoding);
+  return [createStream({
+    name,
+    containerPath,
+    mimeType,
+    text: HTML_EXTENSIONS.has(extension) ? extractHtmlText(markup) : extractXmlText(markup),
+    encoding: { name: encoding, detectedBy }
+  })];
 };
 
-async function extractTextFromArchive({ buffer, name, depth }) {
-  if (depth >= MAX_ARCHIVE_DEPTH) {
-    throw new Error('Archive nesting depth exceeded.');
+// RTF names its own codepages, so text encoding detection does not apply.
+const extractTextFromRtf = ({ buffer, name, containerPath, mimeType }) => [createStream({
+  name,
+  containerPath,
+  mimeType,
+  text: convertRtfToText(new Uint8Array(buffer))
+})];
+
+// Entries become streams of their own; their containerPath is the path to this archive.
+// Entries are listed first and inflated one at a time, only when they are within DEFAULT_ARCHIVE_LIMITS (or
+// options.archiveLimits). Each entry that is not extracted becomes a skipped stream with a warning, marking the
+// archive as partially scanned; entries beyond maxEntries share one warning so a huge listing stays small.
+// Entries that fail to extract (unsupported or damaged files) are skipped the same way, as is an archive nested
+// deeper than the maximum depth.
+async function extractTextFromArchive({ buffer, name, containerPath, depth, options }) {
+  if (depth >= getMaxDepth(options)) {
+    return [createSkippedStream({
+      name,
+      containerPath,
+      warning: `Not extracted: the archive is nested deeper than the maximum depth of ${getMaxDepth(options)}.`
+    })];
   }
+  const limits = { ...DEFAULT_ARCHIVE_LIMITS, ...options.archiveLimits };
   const archiveFile = new File([buffer], name || 'archive', {
     type: 'application/octet-stream'
   });
   const archive = await Archive.open(archiveFile);
   try {
-    const extracted = await archive.extractFiles();
-    const entries = flattenArchiveEntries(extracted);
+    if (options.password) {
+      await archive.usePassword(options.password);
+    }
+    // Archives with encrypted headers (7z, RAR) cannot even be listed without the password.
+    const entries = (await archive.getFilesArray().catch((error) => {
+      throw isEncryptionError(error)
+        ? createEncryptedError(`Archive is password protected. ${describeMissingPassword(options)}`)
+        : error;
+    })).map(({ file, path }) => ({ file, name: `${path}${file.name}` }));
     if (!entries.length) {
       throw new Error('Archive contained no readable entries.');
     }
-    const texts = [];
-    for (const entry of entries) {
-      const entryBuffer = await entry.file.arrayBuffer();
-      const entryText = await extractTextFromBuffer({
-        buffer: entryBuffer,
-        name: entry.name,
-        depth: depth + 1
-      });
-      if (entryText) {
-        texts.push(`=== ${entry.name} ===\n${entryText}`);
+    const entryContainerPath = joinContainerPath(containerPath, name || 'archive');
+    const streams = [];
+    const { archiveUsage } = options;
+    const skipEntry = (entry, warning) => {
+      streams.push(createSkippedStream({ name: entry.name, containerPath: entryContainerPath, warning }));
+    };
+    const getSkipReason = (size) => getArchiveSkipReason({
+      size,
+      archiveBytes: buffer.byteLength || 1,
+      extractedBytes: archiveUsage.extractedBytes,
+      limits
+    });
+    for (const entry of entries.slice(0, limits.maxEntries)) {
+      // libarchive inflates an entry into a buffer of its declared size and fails when the data runs past it, so the
+      // declared size bounds what the entry can cost. It is reserved from the shared total before inflating.
+      const declaredSize = entry.file.size || 0;
+      const declaredWarning = getSkipReason(declaredSize);
+      if (declaredWarning) {
+        skipEntry(entry, declaredWarning);
+        continue;
+      }
+      archiveUsage.extractedBytes += declaredSize;
+      let entryFile;
+      try {
+        entryFile = await entry.file.extract();
+      } catch (error) {
+        if (!isEncryptionError(error)) {
+          skipEntry(entry, `Not extracted: ${error.message}`);
+          continue;
+        }
+        streams.push(createStream({
+          name: entry.name,
+          containerPath: entryContainerPath,
+          method: 'encrypted',
+          warning: `Entry is password protected. ${describeMissingPassword(options)}`
+        }));
+        continue;
+      }
+      if (entryFile.size !== declaredSize) {
+        skipEntry(entry, `Not extracted: inflated to ${formatBytes(entryFile.size)}, but the archive declares `
+          + `${formatBytes(declaredSize)} (damaged or forged header).`);
+        continue;
+      }
+      try {
+        const entryStreams = await extractTextFromBuffer({
+          buffer: await entryFile.arrayBuffer(),
+          name: entry.name,
+          containerPath: entryContainerPath,
+          depth: depth + 1,
+          options
+        });
+        streams.push(...entryStreams.filter((stream) => stream.text || stream.warning));
+      } catch (error) {
+        skipEntry(entry, `Not extracted: ${error.message}`);
       }
     }
-    if (!texts.length) {
+    const remaining = entries.length - limits.maxEntries;
+    if (remaining > 0) {
+      streams.push(createSkippedStream({
+        name: `${remaining} more ${remaining === 1 ? 'entry' : 'entries'}`,
+        containerPath: entryContainerPath,
+        warning: `Not extracted: the archive has ${entries.length} entries and only the first ${limits.maxEntries} are read.`
+      }));
+    }
+    if (!streams.length) {
       throw new Error('Archive contained no supported files.');
     }
-    return texts.join('\n\n');
+    return streams;
   } finally {
     await archive.close();
   }
 }
 
-export const extractTextFromFile = async (file) => {
+export const extractTextFromFile = async (file, options = {}) => {
   if (!file) {
     throw new Error('No file provided.');
   }
   const buffer = await file.arrayBuffer();
-  return extractTextFromBuffer({ buffer, name: file.name, depth: 0 });
+  return extractTextFromBuffer({ buffer, name: file.name, depth: 0, options });
 };
 
-export const extractTextFromBuffer = async ({ buffer, name = '', depth = 0 }) => {
-  const extension = getExtension(name);
-  if (!extension) {
-    throw new Error('File must include an extension.');
+// Detects the type from the content (see fileTypeSniffer.js), falling back to the name's extension when the
+// content is ambiguous. Returns { extension, mimeType, encoding?, detectedBy: 'content' | 'extension' }.
+export const identifyFileType = ({ buffer, name = '' }) => {
+  const fileType = resolveFileType(buffer, getExtension(name));
+  if (!fileType) {
+    const error = new Error('Could not determine the file type from its content or extension.');
+    error.name = 'UnsupportedFileTypeError';
+    throw error;
   }
+  return { ...fileType, mimeType: MIME_TYPES[fileType.extension] ?? 'application/octet-stream' };
+};
+
+const extractSource = async (source) => {
+  const { extension } = source;
   if (ARCHIVE_EXTENSIONS.has(extension)) {
-    return extractTextFromArchive({ buffer, name, depth });
+    return extractTextFromArchive(source);
   }
   if (extension === 'pdf') {
-    return extractTextFromPdf(buffer);
+    return extractTextFromPdf(source);
+  }
+  if (extension === 'docx' || extension === 'doc') {
+    return extractTextFromWordDocument(source);
   }
-  if (extension === 'docx') {
-    return extractTextFromDocx(buffer);
+  if (OFFICE_EXTRACTORS[extension]) {
+    return extractTextFromOfficePackage(source);
+  }
+  if (extension === 'eml') {
+    return extractTextFromEml(source);
   }
   if (extension === 'msg') {
-    return extractTextFromMsg(buffer);
+    return extractTextFromMsg(source);
   }
   if (IMAGE_EXTENSIONS.has(extension)) {
-    return extractTextFromImage(buffer);
+    return extractTextFromImage(source);
+  }
+  if (extension === 'rtf') {
+    return extractTextFromRtf(source);
+  }
+  if (HTML_EXTENSIONS.has(extension) || XML_EXTENSIONS.has(extension)) {
+    return extractTextFromMarkup(source);
   }
   if (TEXT_EXTENSIONS.has(extension)) {
-    return decodeText(buffer);
+    return extractTextFromPlainText(source);
   }
-  throw new Error(`Unsupported file type: .${extension}.`);
+  const error = new Error(`Unsupported file type: .${extension}.`);
+  error.name = 'UnsupportedFileTypeError';
+  throw error;
 };
 
-export const extractTextFromHtml = (html) => stripHtml(html);
+// Every extension extractSource handles, for file pickers; the content still decides the type.
+export const SUPPORTED_EXTENSIONS = [
+  'pdf',
+  'docx',
+  'doc',
+  ...Object.keys(OFFICE_EXTRACTORS),
+  'eml',
+  'msg',
+  ...IMAGE_EXTENSIONS,
+  'rtf',
+  ...HTML_EXTENSIONS,
+  ...XML_EXTENSIONS,
+  ...TEXT_EXTENSIONS,
+  ...ARCHIVE_EXTENSIONS
+];
+
+// Returns the extracted streams:
+// [{ name, containerPath, mimeType, method: 'native' | 'ocr' | 'skipped' | 'encrypted', text, ocr, warning,
+// encoding, sensitivityLabels }].
+// options.includeRevisions (default true) adds tracked deletions and moved-from text from Word documents as a stream;
+// options.maxDepth limits how far archives and message attachments are followed;
+// options.archiveLimits overrides DEFAULT_ARCHIVE_LIMITS (maxTotalBytes covers all archives in the extraction);
+// options.ocr sets the OCR languages and where the worker, core and language data load from;
+// options.encoding overrides charset detection for text, HTML and XML files;
+// options.password opens password-protected archives and PDFs (one password for the whole extraction).
+// Items that stay encrypted are returned as an 'encrypted' stream rather than an error.
+// fileType is the result of identifyFileType for this buffer, when the caller already has it.
+export const extractTextFromBuffer = async ({
+  buffer,
+  name = '',
+  containerPath = '',
+  depth = 0,
+  fileType,
+  options: callerOptions = {}
+}) => {
+  // The top-level call starts the running total of inflated archive bytes; nested calls spend from it.
+  const options = callerOptions.archiveUsage
+    ? callerOptions
+    : { ...callerOptions, archiveUsage: { extractedBytes: 0 } };
+  const { extension, mimeType, encrypted } = fileType ?? identifyFileType({ buffer, name });
+  try {
+    if (encrypted) {
+      throw createEncryptedError('Office document is password protected and cannot be decrypted in the browser.');
+    }
+    return await extractSource({ buffer, name, containerPath, extension, mimeType, depth, options });
+  } catch (error) {
+    if (error.name !== 'EncryptedContentError') {
+      throw error;
+    }
+    return [createStream({ name, containerPath, mimeType, method: 'encrypted', warning: error.message })];
+  }
+};
+
+export const extractTextFromHtml = (html) => extractHtmlText(html);
+
+export const getStreamLabel = (stream) => joinContainerPath(stream.containerPath, stream.name);
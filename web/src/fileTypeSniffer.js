@@ -0,0 +1,254 @@
+import { detectUnicodeEncoding } from './charsetDetector.js';
+import { isCompoundFile, readCompoundFile } from './cfbReader.js';
+
+// Identifies files from their leading bytes. Results are { extension, encoding?, family?, encrypted? }; a `family`
+// (zip, cfb, text) marks a generic result that the file's extension may refine.
+
+const SNIFF_LENGTH = 4096;
+
+// Source code and configuration files, which are read as plain text.
+export const SOURCE_CODE_EXTENSIONS = [
+  'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'java', 'kt', 'scala', 'groovy', 'c', 'h', 'cpp', 'hpp', 'cc', 'cs',
+  'go', 'rs', 'rb', 'php', 'swift', 'pl', 'r', 'lua', 'dart', 'vb', 'vbs', 'sql', 'sh', 'bash', 'ps1', 'psm1', 'bat',
+  'cmd', 'css', 'scss', 'ini', 'cfg', 'conf', 'toml', 'properties', 'env', 'tf'
+];
+
+const FAMILY_EXTENSIONS = {
+  zip: new Set(['zip', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp']),
+  cfb: new Set(['msg', 'doc', 'xls', 'ppt']),
+  text: new Set([
+    'txt', 'csv', 'md', 'json', 'yaml', 'yml', 'log', 'eml', 'html', 'htm', 'xhtml', 'xml', 'xsd', 'xsl', 'xslt',
+    ...SOURCE_CODE_EXTENSIONS
+  ])
+};
+
+const ODF_EXTENSIONS = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp'
+};
+
+const OOXML_FOLDERS = [
+  ['word/', 'docx'],
+  ['xl/', 'xlsx'],
+  ['ppt/', 'pptx']
+];
+
+const BMP_INFO_HEADER_SIZES = new Set([12, 40, 52, 56, 64, 108, 124]);
+// bzip2 follows its block size digit with the magic of the first block, or of the end of an empty stream.
+const BZIP2_BLOCK_MAGICS = [[0x31, 0x41, 0x59, 0x26, 0x53, 0x59], [0x17, 0x72, 0x45, 0x38, 0x50, 0x90]];
+
+const readUint32 = (bytes, offset) => (
+  bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)
+) >>> 0;
+
+// Short signatures such as `BM` also start ordinary text ("BMI,Name,..."), so they carry a structural check.
+// Content that fails it is still accepted when the extension agrees.
+const SIGNATURES = [
+  { extension: 'rtf', bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] },
+  { extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { extension: 'tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { extension: 'tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  {
+    extension: 'bmp',
+    bytes: [0x42, 0x4d],
+    verify: (bytes) => bytes.length >= 18 && BMP_INFO_HEADER_SIZES.has(readUint32(bytes, 14))
+  },
+  { extension: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { extension: 'gz', bytes: [0x1f, 0x8b] },
+  { extension: '7z', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { extension: 'rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { extension: 'xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  {
+    extension: 'bz2',
+    bytes: [0x42, 0x5a, 0x68],
+    verify: (bytes) => bytes[3] >= 0x31 && bytes[3] <= 0x39
+      && BZIP2_BLOCK_MAGICS.some((magic) => matchesAt(bytes, magic, 4))
+  },
+  { extension: 'tar', bytes: [0x75, 0x73, 0x74, 0x61, 0x72], offset: 257 }
+];
+
+const EMAIL_HEADER = /^(received|return-path|from|mime-version|message-id|date|subject|to|delivered-to|x-[\w-]+):/i;
+const HTML_START = /^\s*(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\s+html|html)[\s>]/i;
+const XML_START = /^\s*<\?xml\s/;
+
+const matchesAt = (bytes, signature, offset = 0) => signature.every((byte, index) => bytes[offset + index] === byte);
+
+const startsWithText = (bytes, text, offset = 0) => matchesAt(bytes, Array.from(text, (char) => char.charCodeAt(0)), offset);
+
+// Local file names of a zip, read from the central directory (or the local headers when it is missing).
+const readZipEntryNames = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const names = [];
+  const decoder = new TextDecoder('utf-8');
+  const lowest = Math.max(0, bytes.length - 65557);
+  for (let offset = bytes.length - 22; offset >= lowest; offset -= 1) {
+    if (view.getUint32(offset, true) !== 0x06054b50) {
+      continue;
+    }
+    let position = view.getUint32(offset + 16, true);
+    const count = view.getUint16(offset + 10, true);
+    for (let index = 0; index < count && position + 46 <= bytes.length; index += 1) {
+      if (view.getUint32(position, true) !== 0x02014b50) {
+        break;
+      }
+      const nameLength = view.getUint16(position + 28, true);
+      names.push(decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength)));
+      position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+    return names;
+  }
+  for (let position = 0; position + 30 <= bytes.length && view.getUint32(position, true) === 0x04034b50;) {
+    const nameLength = view.getUint16(position + 26, true);
+    names.push(decoder.decode(bytes.subarray(position + 30, position + 30 + nameLength)));
+    const compressedSize = view.getUint32(position + 18, true);
+    if (!compressedSize) {
+      break;
+    }
+    position += 30 + nameLength + view.getUint16(position + 28, true) + compressedSize;
+  }
+  return names;
+};
+
+// ODF packages start with an uncompressed `mimetype` entry naming the document type.
+const readOdfMimeType = (bytes) => {
+  if (bytes.length < 30) {
+    return '';
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const nameLength = view.getUint16(26, true);
+  if (new TextDecoder().decode(bytes.subarray(30, 30 + nameLength)) !== 'mimetype' || view.getUint16(8, true) !== 0) {
+    return '';
+  }
+  const start = 30 + nameLength + view.getUint16(28, true);
+  return new TextDecoder().decode(bytes.subarray(start, start + view.getUint32(18, true))).trim();
+};
+
+const sniffZip = (bytes) => {
+  const odfExtension = ODF_EXTENSIONS[readOdfMimeType(bytes)];
+  if (odfExtension) {
+    return { extension: odfExtension };
+  }
+  const names = readZipEntryNames(bytes);
+  if (names.includes('[Content_Types].xml')) {
+    const match = OOXML_FOLDERS.find(([folder]) => names.some((name) => name.startsWith(folder)));
+    if (match) {
+      return { extension: match[1] };
+    }
+  }
+  return { extension: 'zip', family: 'zip' };
+};
+
+const sniffCompoundFile = (buffer) => {
+  try {
+    const { root } = readCompoundFile(buffer);
+    const names = new Set(root.children.map((child) => child.name.toLowerCase()));
+    if (names.has('__properties_version1.0') || Array.from(names).some((name) => name.startsWith('__substg1.0_'))) {
+      return { extension: 'msg' };
+    }
+    if (names.has('worddocument')) {
+      return { extension: 'doc' };
+    }
+    if (names.has('workbook') || names.has('book')) {
+      return { extension: 'xls' };
+    }
+    if (names.has('powerpoint document')) {
+      return { extension: 'ppt' };
+    }
+    // Password-protected DOCX, XLSX and PPTX files are compound files holding the encrypted package.
+    if (names.has('encryptedpackage')) {
+      return { extension: 'cfb', encrypted: true };
+    }
+  } catch {
+    // A damaged container is still a compound file; the extension decides what to try.
+  }
+  return { extension: 'cfb', family: 'cfb' };
+};
+
+const isControlCode = (code) => code < 0x09 || (code > 0x0d && code < 0x20 && code !== 0x1b);
+
+// Text has no NUL bytes and hardly any other control characters.
+const looksLikeText = (bytes) => {
+  let controls = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      return false;
+    }
+    controls += isControlCode(byte) ? 1 : 0;
+  }
+  return controls <= bytes.length * 0.01;
+};
+
+const hasFewControlCharacters = (text) => Array.from(text)
+  .filter((char) => isControlCode(char.charCodeAt(0))).length <= text.length * 0.01;
+
+// Markup is told apart by its prolog; the extension still decides between formats of the text family.
+const sniffTextFormat = (text) => {
+  if (XML_START.test(text)) {
+    return 'xml';
+  }
+  if (HTML_START.test(text)) {
+    return 'html';
+  }
+  const [firstLine = ''] = text.split(/\r?\n/, 1);
+  return EMAIL_HEADER.test(firstLine) && /\r?\n\r?\n/.test(text) ? 'eml' : 'txt';
+};
+
+const sniffText = (bytes) => {
+  const unicode = detectUnicodeEncoding(bytes);
+  let encoding = unicode?.encoding ?? '';
+  // Binary data with many zero bytes can pass for BOM-less UTF-16; real text decodes without control characters.
+  if (unicode?.detectedBy === 'content' && !hasFewControlCharacters(new TextDecoder(encoding).decode(bytes))) {
+    encoding = '';
+  }
+  if (!encoding && !looksLikeText(bytes)) {
+    return null;
+  }
+  const text = new TextDecoder(encoding || 'utf-8').decode(bytes);
+  return { extension: sniffTextFormat(text), family: 'text', ...(encoding ? { encoding } : {}) };
+};
+
+// `extension` only confirms weak matches: a PDF header after the first byte, or a short signature that fails
+// its structural check.
+export const sniffFileType = (buffer, extension = '') => {
+  const bytes = new Uint8Array(buffer);
+  const head = bytes.subarray(0, SNIFF_LENGTH);
+  if (!head.length) {
+    return null;
+  }
+  if (startsWithText(head, 'PK\u0003\u0004') || startsWithText(head, 'PK\u0005\u0006')) {
+    return sniffZip(bytes);
+  }
+  // PDF readers accept the header anywhere in the first kilobyte, but text can mention "%PDF-" too.
+  const pdfOffset = new TextDecoder('latin1').decode(head.subarray(0, 1024)).indexOf('%PDF-');
+  if (pdfOffset === 0 || (pdfOffset > 0 && extension === 'pdf')) {
+    return { extension: 'pdf' };
+  }
+  if (isCompoundFile(buffer)) {
+    return sniffCompoundFile(buffer);
+  }
+  const signature = SIGNATURES.find((entry) => matchesAt(head, entry.bytes, entry.offset ?? 0)
+    && (!entry.also || matchesAt(head, entry.also.bytes, entry.also.offset))
+    && (!entry.verify || entry.verify(head) || entry.extension === extension));
+  if (signature) {
+    return { extension: signature.extension };
+  }
+  return sniffText(head);
+};
+
+// Content decides the type. The extension is used when the content is generic for a family the extension
+// belongs to (a .csv is plain text, a .xlsx with unusual part names is still a zip) or when nothing matched.
+// Returns { extension, encoding?, encrypted?, detectedBy: 'content' | 'extension' } or null.
+export const resolveFileType = (buffer, extension) => {
+  const sniffed = sniffFileType(buffer, extension);
+  if (sniffed?.family && FAMILY_EXTENSIONS[sniffed.family].has(extension)) {
+    return { extension, ...(sniffed.encoding ? { encoding: sniffed.encoding } : {}), detectedBy: 'extension' };
+  }
+  if (sniffed) {
+    const { family, ...type } = sniffed;
+    return { ...type, detectedBy: 'content' };
+  }
+  return extension ? { extension, detectedBy: 'extension' } : null;
+};
@@ -0,0 +1,158 @@
+const WORD_CHARACTER = /[\p{L}\p{M}\p{N}_]/u;
+// Scripts written without spaces between words; every character edge counts as a word boundary.
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const WHITESPACE = /\s/;
+
+const codePointBefore = (text, index) => {
+  if (index <= 0) {
+    return '';
+  }
+  const low = text.charCodeAt(index - 1);
+  const start = index >= 2 && low >= 0xdc00 && low <= 0xdfff ? index - 2 : index - 1;
+  return String.fromCodePoint(text.codePointAt(start));
+};
+
+const codePointAt = (text, index) => (index < text.length ? String.fromCodePoint(text.codePointAt(index)) : '');
+
+export const isWordCharacter = (char) => Boolean(char) && WORD_CHARACTER.test(char);
+
+export const isCjkCharacter = (char) => Boolean(char) && CJK_CHARACTER.test(char);
+
+export const isWordBoundary = (text, index) => {
+  const before = codePointBefore(text, index);
+  const after = codePointAt(text, index);
+  if (!isWordCharacter(before) || !isWordCharacter(after)) {
+    return true;
+  }
+  return isCjkCharacter(before) || isCjkCharacter(after);
+};
+
+// Folds one UTF-16 unit at a time so offsets in the folded text line up with the original.
+const foldCharacter = (char) => {
+  const lower = char.toLowerCase();
+  return lower.length === 1 ? lower : char;
+};
+
+// Collapses whitespace runs to a single space; offsets[i] is the source index of normalized character i.
+const normalizeText = (text, fold) => {
+  let normalized = '';
+  const offsets = [];
+  let previousWhitespace = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (WHITESPACE.test(char)) {
+      if (!previousWhitespace) {
+        normalized += ' ';
+        offsets.push(index);
+      }
+      previousWhitespace = true;
+      continue;
+    }
+    previousWhitespace = false;
+    normalized += fold ? foldCharacter(char) : char;
+    offsets.push(index);
+  }
+  return { normalized, offsets };
+};
+
+const buildAutomaton = (terms) => {
+  const nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+  terms.forEach((term, termIndex) => {
+    let state = 0;
+    // UTF-16 units, like match() and normalizeText, so astral characters (CJK Extension B, emoji) line up.
+    for (let index = 0; index < term.folded.length; index += 1) {
+      const char = term.folded[index];
+      let nextState = nodes[state].next.get(char);
+      if (nextState === undefined) {
+        nextState = nodes.length;
+        nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        nodes[state].next.set(char, nextState);
+      }
+      state = nextState;
+    }
+    nodes[state].outputs.push(termIndex);
+  });
+
+  const queue = [...nodes[0].next.values()];
+  for (let cursor = 0; cursor < queue.length; cursor += 1) {
+    const state = queue[cursor];
+    nodes[state].next.forEach((child, char) => {
+      let fallback = nodes[state].fail;
+      while (fallback && !nodes[fallback].next.has(char)) {
+        fallback = nodes[fallback].fail;
+      }
+      const target = nodes[fallback].next.get(char);
+      nodes[child].fail = target !== undefined && target !== child ? target : 0;
+      nodes[child].outputs = nodes[child].outputs.concat(nodes[nodes[child].fail].outputs);
+      queue.push(child);
+    });
+  }
+  return nodes;
+};
+
+export const createKeywordMatcher = (groups = []) => {
+  const terms = groups.flatMap((group) => group.terms.map((term) => {
+    const text = normalizeText(term.text.trim(), false).normalized;
+    return {
+      text: term.text,
+      exact: text,
+      folded: normalizeText(text, true).normalized,
+      caseSensitive: Boolean(term.caseSensitive),
+      wordMatch: group.matchStyle !== 'string'
+    };
+  })).filter((term) => term.folded);
+  const nodes = buildAutomaton(terms);
+
+  const match = (text) => {
+    if (!terms.length || !text) {
+      return [];
+    }
+    const { normalized, offsets } = normalizeText(text, true);
+    const exactText = terms.some((term) => term.caseSensitive) ? normalizeText(text, false).normalized : null;
+    const seen = new Set();
+    const matches = [];
+    let state = 0;
+    for (let index = 0; index < normalized.length; index += 1) {
+      const char = normalized[index];
+      while (state && !nodes[state].next.has(char)) {
+        state = nodes[state].fail;
+      }
+      state = nodes[state].next.get(char) ?? 0;
+      nodes[state].outputs.forEach((termIndex) => {
+        const term = terms[termIndex];
+        const normalizedStart = index + 1 - term.folded.length;
+        if (term.caseSensitive && exactText.slice(normalizedStart, index + 1) !== term.exact) {
+          return;
+        }
+        const start = offsets[normalizedStart];
+        const end = offsets[index] + 1;
+        if (term.wordMatch && (!isWordBoundary(text, start) || !isWordBoundary(text, end))) {
+          return;
+        }
+        const key = `${start}:${end}`;
+        if (seen.has(key)) {
+          return;
+        }
+        seen.add(key);
+        matches.push({ start, end, value: text.slice(start, end), term: term.text });
+      });
+    }
+    return matches.sort((a, b) => a.start - b.start || a.end - b.end);
+  };
+
+  return { terms, match };
+};
+
+const matcherCache = new WeakMap();
+
+export const findKeywordMatches = (text, groups) => {
+  if (!groups?.length) {
+    return [];
+  }
+  let matcher = matcherCache.get(groups);
+  if (!matcher) {
+    matcher = createKeywordMatcher(groups);
+    matcherCache.set(groups, matcher);
+  }
+  return matcher.match(text);
+};
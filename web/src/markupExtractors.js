@@ -0,0 +1,103 @@
+// Visible text of HTML pages and the text and attribute values of XML documents. Both are parsed with DOMParser,
+// which builds an inert document: scripts do not run and images are not fetched.
+
+// Elements whose content is never rendered as text.
+const HIDDEN_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'head', 'iframe']);
+// Elements that start a new line, and table cells, which are separated by tabs as in spreadsheets.
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'caption', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'legend', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'tfoot', 'thead', 'title', 'tr', 'ul'
+]);
+const CELL_ELEMENTS = new Set(['td', 'th']);
+const PREFORMATTED_ELEMENTS = new Set(['pre', 'textarea', 'listing', 'plaintext']);
+// Attributes whose text is shown to the reader: image descriptions and tooltips.
+const TEXT_ATTRIBUTES = ['alt', 'title'];
+
+const isHiddenElement = (element) => element.hasAttribute('hidden')
+  || /display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.getAttribute('style') ?? '');
+
+const collectHtmlText = (node, parts, preformatted) => {
+  Array.from(node.childNodes).forEach((child) => {
+    if (child.nodeType === 3) {
+      parts.push(preformatted ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' '));
+      return;
+    }
+    if (child.nodeType !== 1) {
+      return;
+    }
+    const tag = child.localName.toLowerCase();
+    if (HIDDEN_ELEMENTS.has(tag) || isHiddenElement(child)) {
+      return;
+    }
+    const block = BLOCK_ELEMENTS.has(tag);
+    if (block) {
+      parts.push('\n');
+    }
+    const attributes = TEXT_ATTRIBUTES
+      .map((name) => child.getAttribute(name)?.trim())
+      .filter(Boolean);
+    if (attributes.length) {
+      parts.push(` ${attributes.join(' ')} `);
+    }
+    collectHtmlText(child, parts, preformatted || PREFORMATTED_ELEMENTS.has(tag));
+    if (block) {
+      parts.push('\n');
+    } else if (CELL_ELEMENTS.has(tag)) {
+      parts.push('\t');
+    }
+  });
+};
+
+const tidyLines = (text) => text
+  .split('\n')
+  .map((line) => line.replace(/[ \t]+$/, '').replace(/^ +/, ''))
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Text a browser would render, one block per line, plus alt and title attributes. The document title is kept
+// even though it lives in <head>; scripts, styles and hidden elements are left out.
+export const extractHtmlText = (html) => {
+  if (!html) {
+    return '';
+  }
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const parts = [];
+  const title = doc.querySelector('title')?.textContent.trim();
+  if (title) {
+    parts.push(title, '\n');
+  }
+  collectHtmlText(doc.body ?? doc.documentElement, parts, false);
+  return tidyLines(parts.join(''));
+};
+
+const collectXmlText = (element, lines) => {
+  const attributes = Array.from(element.attributes)
+    .filter((attribute) => attribute.name !== 'xmlns' && !attribute.name.startsWith('xmlns:'))
+    .map((attribute) => attribute.value.trim())
+    .filter(Boolean);
+  const text = Array.from(element.childNodes)
+    .filter((child) => child.nodeType === 3 || child.nodeType === 4)
+    .map((child) => child.nodeValue.trim())
+    .filter(Boolean);
+  if (attributes.length || text.length) {
+    lines.push([...attributes, ...text].join(' '));
+  }
+  Array.from(element.childNodes)
+    .filter((child) => child.nodeType === 1)
+    .forEach((child) => collectXmlText(child, lines));
+};
+
+// One line per element with its attribute values followed by its own text (including CDATA); namespace
+// declarations and comments are left out. Malformed XML, such as a truncated export, is returned as it is so
+// its content is still scanned.
+export const extractXmlText = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (!doc.documentElement || doc.getElementsByTagName('parsererror').length) {
+    return xml;
+  }
+  const lines = [];
+  collectXmlText(doc.documentElement, lines);
+  return lines.join('\n');
+};
@@ -0,0 +1,162 @@
+import { isWordBoundary } from './keywordMatcher.js';
+import { isValidDate, luhnCheck } from './purviewFunctions.js';
+
+export const SUPPORTED_FILTER_TYPES = new Set(['textmatchfilter', 'alldigitssamefilter']);
+export const SUPPORTED_FILTER_DIRECTIONS = new Set(['full', 'startswith', 'endswith', 'prefix', 'suffix']);
+export const SUPPORTED_VALIDATOR_TYPES = new Set(['luhncheck', 'checksum', 'datesimple']);
+
+// Prefix/suffix checks only look at the characters right next to the match, as Purview does.
+const CONTEXT_LENGTH = 64;
+
+const normalizeCase = (value, caseSensitive) => (caseSensitive ? value : value.toLowerCase());
+
+const termsOf = (textProcessor) => (textProcessor?.groups ?? []).flatMap((group) => group.terms.map((term) => ({
+  ...term,
+  matchStyle: group.matchStyle
+})));
+
+const startsWithTerm = (value, term) => {
+  const candidate = normalizeCase(value, term.caseSensitive);
+  const text = normalizeCase(term.text, term.caseSensitive);
+  if (!candidate.startsWith(text)) {
+    return false;
+  }
+  return term.matchStyle === 'string' || isWordBoundary(value, text.length);
+};
+
+const endsWithTerm = (value, term) => {
+  const candidate = normalizeCase(value, term.caseSensitive);
+  const text = normalizeCase(term.text, term.caseSensitive);
+  if (!candidate.endsWith(text)) {
+    return false;
+  }
+  return term.matchStyle === 'string' || isWordBoundary(value, value.length - text.length);
+};
+
+const equalsTerm = (value, term) => normalizeCase(value, term.caseSensitive) === normalizeCase(term.text, term.caseSensitive);
+
+const textMatchFilterHits = (text, instance, filter) => {
+  const terms = termsOf(filter.textProcessor);
+  if (!terms.length) {
+    return false;
+  }
+  const value = instance.value.trim();
+  const direction = filter.direction.toLowerCase();
+  if (direction === 'full') {
+    return terms.some((term) => equalsTerm(value, term));
+  }
+  if (direction === 'startswith') {
+    return terms.some((term) => startsWithTerm(value, term));
+  }
+  if (direction === 'endswith') {
+    return terms.some((term) => endsWithTerm(value, term));
+  }
+  if (direction === 'prefix') {
+    const before = text.slice(Math.max(0, instance.start - CONTEXT_LENGTH), instance.start).trimEnd();
+    return terms.some((term) => endsWithTerm(before, term));
+  }
+  if (direction === 'suffix') {
+    const after = text.slice(instance.end, instance.end + CONTEXT_LENGTH).trimStart();
+    return terms.some((term) => startsWithTerm(after, term));
+  }
+  return false;
+};
+
+const allDigitsSame = (value) => {
+  const digits = value.replace(/\D/g, '');
+  return digits.length > 1 && /^(\d)\1*$/.test(digits);
+};
+
+const filterHits = (text, instance, filter) => {
+  const type = filter.type.toLowerCase();
+  if (type === 'textmatchfilter') {
+    return textMatchFilterHits(text, instance, filter);
+  }
+  if (type === 'alldigitssamefilter') {
+    return allDigitsSame(instance.value);
+  }
+  return null;
+};
+
+const passesFilter = (text, instance, filter) => {
+  const hit = filterHits(text, instance, filter);
+  if (hit === null) {
+    return true;
+  }
+  return filter.logic.toLowerCase() === 'include' ? hit : !hit;
+};
+
+export const applyMatchFilters = (text, instances, filterSets = []) => {
+  const filters = filterSets.flatMap((filterSet) => filterSet.filters ?? []);
+  if (!filters.length) {
+    return instances;
+  }
+  return instances.filter((instance) => filters.every((filter) => passesFilter(text, instance, filter)));
+};
+
+const characterValue = (char) => {
+  if (/\d/.test(char)) {
+    return Number(char);
+  }
+  return char.toUpperCase().charCodeAt(0) - 55;
+};
+
+const checksumValidator = (value, params) => {
+  const allowAlphabets = params.AllowAlphabets === '1' || params.AllowAlphabets?.toLowerCase() === 'true';
+  const characters = value.toUpperCase().replace(allowAlphabets ? /[^0-9A-Z]/g : /\D/g, '').split('');
+  const weights = (params.Weights ?? '').split(/[\s,]+/).filter(Boolean).map(Number);
+  const mod = Number(params.Mod);
+  if (!characters.length || !weights.length || !mod) {
+    return false;
+  }
+  const checkPosition = params.CheckDigit && params.CheckDigit.toLowerCase() !== 'last'
+    ? Number(params.CheckDigit) - 1
+    : characters.length - 1;
+  if (checkPosition < 0 || checkPosition >= characters.length) {
+    return false;
+  }
+  const body = characters.filter((_, index) => index !== checkPosition).map(characterValue);
+  if (body.length !== weights.length) {
+    return false;
+  }
+  const sum = body.reduce((total, digit, index) => total + digit * weights[index], 0);
+  return sum % mod === characterValue(characters[checkPosition]);
+};
+
+const dateSimpleValidator = (value, params) => {
+  const format = (params.Pattern ?? '').toUpperCase();
+  const digits = value.replace(/\D/g, '');
+  if (!format || digits.length < format.length) {
+    return false;
+  }
+  const read = (token) => {
+    const index = format.indexOf(token);
+    return index < 0 ? null : Number(digits.slice(index, index + token.length));
+  };
+  const fullYear = read('YYYY');
+  const shortYear = fullYear === null ? read('YY') : null;
+  const year = fullYear ?? (shortYear === null ? 2000 : 2000 + shortYear);
+  return isValidDate(year, read('MM'), read('DD'));
+};
+
+const runValidator = (value, validator) => {
+  const type = validator.type.toLowerCase();
+  if (type === 'luhncheck') {
+    return luhnCheck(value);
+  }
+  if (type === 'checksum') {
+    return checksumValidator(value, validator.params);
+  }
+  if (type === 'datesimple') {
+    return dateSimpleValidator(value, validator.params);
+  }
+  return true;
+};
+
+export const applyValidators = (instances, validatorSets = []) => {
+  const validators = validatorSets.flatMap((validatorSet) => validatorSet.validators ?? []);
+  if (!validators.length) {
+    return instances;
+  }
+  return instances.filter((instance) => validators.every((validator) => runValidator(instance.value, validator)));
+};
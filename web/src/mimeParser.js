@@ -0,0 +1,248 @@
+// MIME (RFC 2045-2047, 2231) parser for .eml messages. Bodies are kept as bytes; callers decode text with
+// decodeBytes using the part's charset.
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map(Array.from(BASE64_ALPHABET).map((char, index) => [char, index]));
+
+// Multipart trees deeper than this are treated as opaque bodies.
+const MAX_MULTIPART_DEPTH = 20;
+
+// One character per byte, so offsets in the string are offsets in the message.
+const bytesToBinaryString = (bytes) => {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return binary;
+};
+
+const binaryStringToBytes = (binary) => {
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index) & 0xff;
+  }
+  return bytes;
+};
+
+export const decodeBytes = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+const decodeBase64 = (value) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of value) {
+    const digit = BASE64_VALUES.get(char);
+    if (digit === undefined) {
+      continue;
+    }
+    buffer = (buffer << 6) | digit;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+const decodeQuotedPrintable = (value, { header = false } = {}) => {
+  const text = header ? value.replace(/_/g, ' ') : value.replace(/=\r?\n/g, '');
+  return binaryStringToBytes(text.replace(/=([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(Number.parseInt(hex, 16))));
+};
+
+const decodeTransferEncoding = (body, encoding) => {
+  const normalized = (encoding ?? '').trim().toLowerCase();
+  if (normalized === 'base64') {
+    return decodeBase64(body);
+  }
+  if (normalized === 'quoted-printable') {
+    return decodeQuotedPrintable(body);
+  }
+  return binaryStringToBytes(body);
+};
+
+// RFC 2047 encoded words; whitespace between two adjacent encoded words is dropped.
+export const decodeEncodedWords = (value = '') => value
+  .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?[^?]+\?[bq]\?[^?]*\?=)/gi, '$1')
+  .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+    const bytes = encoding.toLowerCase() === 'b'
+      ? decodeBase64(text)
+      : decodeQuotedPrintable(text, { header: true });
+    // RFC 2231 allows a language suffix: charset*language.
+    return decodeBytes(bytes, charset.split('*')[0]);
+  });
+
+const decodeRawHeader = (value) => decodeBytes(binaryStringToBytes(value), 'utf-8');
+
+// Header block (unfolded) as a Map of lowercase name → raw value; the first occurrence of a name wins.
+export const parseHeaders = (block) => {
+  const headers = new Map();
+  block
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) {
+        return;
+      }
+      const name = line.slice(0, colon).trim().toLowerCase();
+      if (!headers.has(name)) {
+        headers.set(name, line.slice(colon + 1).trim());
+      }
+    });
+  return headers;
+};
+
+const splitParameters = (value) => {
+  const segments = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < value.length; index += 1) {
+    const char = value[index];
+    if (char === '"' && value[index - 1] !== '\\') {
+      quoted = !quoted;
+    }
+    if (char === ';' && !quoted) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+  return segments.map((segment) => segment.trim()).filter(Boolean);
+};
+
+const unquote = (value) => (
+  value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value
+);
+
+// Parses `value; name=value; name*=charset''encoded; name*0*=...` including RFC 2231 continuations.
+const parseStructuredHeader = (value = '') => {
+  const [main = '', ...segments] = splitParameters(value);
+  const continuations = new Map();
+  const params = {};
+  segments.forEach((segment) => {
+    const equals = segment.indexOf('=');
+    if (equals <= 0) {
+      return;
+    }
+    const key = segment.slice(0, equals).trim().toLowerCase();
+    const rawValue = unquote(segment.slice(equals + 1).trim());
+    const match = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key);
+    if (!match) {
+      return;
+    }
+    const [, name, section, extended] = match;
+    const list = continuations.get(name) ?? [];
+    list.push({ section: Number(section ?? 0), value: rawValue, extended: Boolean(extended) });
+    continuations.set(name, list);
+  });
+  continuations.forEach((list, name) => {
+    const sorted = list.sort((a, b) => a.section - b.section);
+    if (!sorted.some((entry) => entry.extended)) {
+      params[name] = decodeEncodedWords(decodeRawHeader(sorted.map((entry) => entry.value).join('')));
+      return;
+    }
+    let charset = 'utf-8';
+    const encoded = sorted.map((entry, index) => {
+      if (!entry.extended) {
+        return entry.value;
+      }
+      let text = entry.value;
+      if (index === 0) {
+        const parts = text.split("'");
+        if (parts.length >= 3) {
+          charset = parts[0] || charset;
+          text = parts.slice(2).join("'");
+        }
+      }
+      return text.replace(/%([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(Number.parseInt(hex, 16)));
+    }).join('');
+    params[name] = decodeBytes(binaryStringToBytes(encoded), charset);
+  });
+  return { value: main.trim().toLowerCase(), params };
+};
+
+const findHeaderEnd = (binary) => {
+  const match = /\r?\n\r?\n/.exec(binary);
+  return match ? { headerEnd: match.index, bodyStart: match.index + match[0].length } : { headerEnd: binary.length, bodyStart: binary.length };
+};
+
+const splitMultipart = (body, boundary) => {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let searchFrom = 0;
+  let partStart = -1;
+  while (searchFrom <= body.length) {
+    const index = body.indexOf(delimiter, searchFrom);
+    if (index < 0) {
+      break;
+    }
+    const atLineStart = index === 0 || body[index - 1] === '\n';
+    if (!atLineStart) {
+      searchFrom = index + delimiter.length;
+      continue;
+    }
+    if (partStart >= 0) {
+      // The line break before the delimiter belongs to the delimiter.
+      const end = body[index - 2] === '\r' ? index - 2 : index - 1;
+      parts.push(body.slice(partStart, Math.max(partStart, end)));
+    }
+    const closing = body.startsWith('--', index + delimiter.length);
+    if (closing) {
+      return parts;
+    }
+    const lineEnd = body.indexOf('\n', index + delimiter.length);
+    if (lineEnd < 0) {
+      break;
+    }
+    partStart = lineEnd + 1;
+    searchFrom = partStart;
+  }
+  // A missing closing delimiter keeps whatever follows the last boundary.
+  if (partStart >= 0 && partStart < body.length) {
+    parts.push(body.slice(partStart));
+  }
+  return parts;
+};
+
+const parseEntity = (binary, depth) => {
+  const { headerEnd, bodyStart } = findHeaderEnd(binary);
+  const headers = parseHeaders(binary.slice(0, headerEnd));
+  const contentType = parseStructuredHeader(headers.get('content-type') ?? 'text/plain');
+  const disposition = parseStructuredHeader(headers.get('content-disposition') ?? '');
+  const mimeType = contentType.value.includes('/') ? contentType.value : 'text/plain';
+  const body = binary.slice(bodyStart);
+  const entity = {
+    headers,
+    mimeType,
+    charset: contentType.params.charset ?? '',
+    disposition: disposition.value,
+    filename: disposition.params.filename ?? contentType.params.name ?? '',
+    parts: [],
+    content: null
+  };
+  if (mimeType.startsWith('multipart/') && contentType.params.boundary && depth < MAX_MULTIPART_DEPTH) {
+    entity.parts = splitMultipart(body, contentType.params.boundary).map((part) => parseEntity(part, depth + 1));
+    return entity;
+  }
+  entity.content = decodeTransferEncoding(body, headers.get('content-transfer-encoding'));
+  return entity;
+};
+
+// Returns the root entity: { headers: Map(lowercase name → raw value), mimeType, charset, disposition, filename,
+// parts, content }. Multipart entities have `parts`; leaf entities have `content` (transfer-decoded bytes).
+export const parseMimeMessage = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return parseEntity(bytesToBinaryString(bytes), 0);
+};
+
+// Header value with encoded words and raw UTF-8 decoded.
+export const getHeader = (entity, name) => decodeEncodedWords(decodeRawHeader(entity.headers.get(name) ?? ''));
@@ -0,0 +1,301 @@
+import { findEntry, readCompoundFile } from './cfbReader.js';
+
+// Outlook .msg (MS-OXMSG): MAPI properties stored in a compound file. Variable-length properties are streams
+// named __substg1.0_<id><type>; fixed-size ones are 16-byte records in __properties_version1.0.
+// This parser replaces the msgreader package (1.0.1, unmaintained), which leaves embedded messages unread
+// ("MSG as attachment currently isn't supported"), has no recipient types (To/Cc/Bcc), HTML or RTF bodies or
+// attachment MIME types, and decodes 8-bit strings without their codepage. The compound-file layer is
+// cfbReader.js, which the DOC, XLS and PPT readers share.
+
+const PROPERTY_STREAM_PREFIX = '__substg1.0_';
+const PROPERTIES_STREAM = '__properties_version1.0';
+const RECIPIENT_PREFIX = '__recip_version1.0_';
+const ATTACHMENT_PREFIX = '__attach_version1.0_';
+const NAMEID_STORAGE = '__nameid_version1.0';
+
+const PT_LONG = 0x0003;
+const TYPE_STRING8 = '001e';
+const TYPE_UNICODE = '001f';
+const TYPE_BINARY = '0102';
+const TYPE_OBJECT = '000d';
+
+// Size of the header that precedes the fixed-size property records.
+const PROPERTIES_HEADER_SIZE = { message: 32, embeddedMessage: 24, child: 8 };
+
+const PROPERTY = {
+  subject: 0x0037,
+  transportHeaders: 0x007d,
+  recipientType: 0x0c15,
+  senderName: 0x0c1a,
+  senderEmail: 0x0c1f,
+  displayBcc: 0x0e02,
+  displayCc: 0x0e03,
+  displayTo: 0x0e04,
+  body: 0x1000,
+  rtfCompressed: 0x1009,
+  html: 0x1013,
+  displayName: 0x3001,
+  emailAddress: 0x3003,
+  attachData: 0x3701,
+  attachFilename: 0x3704,
+  attachMethod: 0x3705,
+  attachLongFilename: 0x3707,
+  attachMimeTag: 0x370e,
+  smtpAddress: 0x39fe,
+  internetCodepage: 0x3fde,
+  messageCodepage: 0x3ffd,
+  senderSmtpAddress: 0x5d01
+};
+
+// Named properties are stored under ids from 0x8000, mapped to their names in __nameid_version1.0.
+const FIRST_NAMED_PROPERTY = 0x8000;
+const NAMEID_STREAM = { entries: 0x0003, strings: 0x0004 };
+// Set by Outlook when a sensitivity label is applied (PS_INTERNET_HEADERS).
+const LABELS_PROPERTY_NAME = 'msip_labels';
+
+const ATTACH_EMBEDDED_MESSAGE = 5;
+// Embedded messages are parsed eagerly; nesting this deep is only seen in crafted files.
+const MAX_EMBEDDED_DEPTH = 16;
+const RECIPIENT_TYPES = { 1: 'to', 2: 'cc', 3: 'bcc' };
+
+const CODEPAGE_LABELS = {
+  874: 'windows-874',
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5',
+  1200: 'utf-16le',
+  1201: 'utf-16be',
+  20866: 'koi8-r',
+  21866: 'koi8-u',
+  28591: 'iso-8859-1',
+  28592: 'iso-8859-2',
+  28595: 'iso-8859-5',
+  28597: 'iso-8859-7',
+  50220: 'iso-2022-jp',
+  51932: 'euc-jp',
+  65001: 'utf-8'
+};
+
+export const codepageLabel = (codepage) => {
+  if (codepage >= 1250 && codepage <= 1258) {
+    return `windows-${codepage}`;
+  }
+  return CODEPAGE_LABELS[codepage] ?? 'windows-1252';
+};
+
+const decodeWith = (bytes, label) => {
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+};
+
+const hex4 = (value) => value.toString(16).padStart(4, '0');
+
+// --- Compressed RTF (MS-OXRTFCP) ---
+
+const RTF_DICTIONARY_PRELOAD = '{\\rtf1\\ansi\\mac\\deff0\\deftab720{\\fonttbl;}{\\f0\\fnil \\froman \\fswiss \\fmodern '
+  + '\\fscript \\fdecor MS Sans SerifSymbolArialTimes New RomanCourier{\\colortbl\\red0\\green0\\blue0\r\n\\par '
+  + '\\pard\\plain\\f0\\fs20\\b\\i\\u\\tab\\tx';
+const RTF_COMPRESSED = 0x75465a4c;
+const RTF_UNCOMPRESSED = 0x414c454d;
+
+// Returns the RTF as bytes; its text is decoded by rtfParser.js in the document's own codepage.
+export const decompressRtf = (bytes) => {
+  if (bytes.length < 16) {
+    return new Uint8Array(0);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const compressedSize = view.getUint32(0, true);
+  const rawSize = view.getUint32(4, true);
+  const type = view.getUint32(8, true);
+  const end = Math.min(bytes.length, compressedSize + 4);
+  if (type === RTF_UNCOMPRESSED) {
+    return bytes.slice(16, Math.min(bytes.length, 16 + rawSize));
+  }
+  if (type !== RTF_COMPRESSED) {
+    return new Uint8Array(0);
+  }
+  const dictionary = new Uint8Array(4096);
+  for (let index = 0; index < RTF_DICTIONARY_PRELOAD.length; index += 1) {
+    dictionary[index] = RTF_DICTIONARY_PRELOAD.charCodeAt(index);
+  }
+  let writePosition = RTF_DICTIONARY_PRELOAD.length;
+  const output = [];
+  let position = 16;
+  while (position < end) {
+    const control = bytes[position];
+    position += 1;
+    for (let bit = 0; bit < 8 && position < end; bit += 1) {
+      if (!(control & (1 << bit))) {
+        const byte = bytes[position];
+        position += 1;
+        output.push(byte);
+        dictionary[writePosition] = byte;
+        writePosition = (writePosition + 1) % 4096;
+        continue;
+      }
+      if (position + 1 >= end) {
+        position = end;
+        break;
+      }
+      const reference = (bytes[position] << 8) | bytes[position + 1];
+      position += 2;
+      const offset = reference >> 4;
+      const length = (reference & 0x0f) + 2;
+      // A reference to the current write position marks the end of the data.
+      if (offset === writePosition) {
+        position = end;
+        break;
+      }
+      for (let index = 0; index < length; index += 1) {
+        const byte = dictionary[(offset + index) % 4096];
+        output.push(byte);
+        dictionary[writePosition] = byte;
+        writePosition = (writePosition + 1) % 4096;
+      }
+    }
+  }
+  return new Uint8Array(output.slice(0, rawSize || output.length));
+};
+
+// --- Properties ---
+
+const readFixedProperties = (compound, storage, headerSize) => {
+  const properties = new Map();
+  const bytes = compound.readStream(findEntry(storage, PROPERTIES_STREAM));
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = headerSize; offset + 16 <= bytes.length; offset += 16) {
+    const type = view.getUint16(offset, true);
+    const id = view.getUint16(offset + 2, true);
+    if (type === PT_LONG) {
+      properties.set(id, view.getInt32(offset + 8, true));
+    }
+  }
+  return properties;
+};
+
+const createPropertyReader = (compound, storage, headerSize, inheritedCodepage) => {
+  const fixed = readFixedProperties(compound, storage, headerSize);
+  const codepage = fixed.get(PROPERTY.messageCodepage) ?? inheritedCodepage;
+  const entry = (id, type) => findEntry(storage, `${PROPERTY_STREAM_PREFIX}${hex4(id)}${type}`);
+  const binary = (id) => {
+    const stream = entry(id, TYPE_BINARY);
+    return stream ? compound.readStream(stream) : null;
+  };
+  const string = (id) => {
+    const unicode = entry(id, TYPE_UNICODE);
+    if (unicode) {
+      return decodeWith(compound.readStream(unicode), 'utf-16le').replace(/\0+$/, '');
+    }
+    const string8 = entry(id, TYPE_STRING8);
+    return string8 ? decodeWith(compound.readStream(string8), codepageLabel(codepage)).replace(/\0+$/, '') : '';
+  };
+  return {
+    codepage,
+    long: (id) => fixed.get(id),
+    string,
+    binary,
+    object: (id) => entry(id, TYPE_OBJECT)
+  };
+};
+
+// String-named properties, mapped from lowercase name to property id. Each entry is 8 bytes: the name's offset in
+// the string stream and a word holding the property index (high 16 bits) and the kind (bit 0, 1 for strings).
+const readNamedPropertyIds = (compound) => {
+  const storage = findEntry(compound.root, NAMEID_STORAGE);
+  const stream = (id) => compound.readStream(findEntry(storage, `${PROPERTY_STREAM_PREFIX}${hex4(id)}${TYPE_BINARY}`));
+  const entries = stream(NAMEID_STREAM.entries);
+  const strings = stream(NAMEID_STREAM.strings);
+  const entryView = new DataView(entries.buffer, entries.byteOffset, entries.byteLength);
+  const stringView = new DataView(strings.buffer, strings.byteOffset, strings.byteLength);
+  const ids = new Map();
+  for (let offset = 0; offset + 8 <= entries.length; offset += 8) {
+    const nameOffset = entryView.getUint32(offset, true);
+    const indexAndKind = entryView.getUint32(offset + 4, true);
+    if (!(indexAndKind & 1) || nameOffset + 4 > strings.length) {
+      continue;
+    }
+    const start = nameOffset + 4;
+    const name = decodeWith(strings.subarray(start, start + stringView.getUint32(nameOffset, true)), 'utf-16le');
+    ids.set(name.toLowerCase(), FIRST_NAMED_PROPERTY + (indexAndKind >>> 16));
+  }
+  return ids;
+};
+
+const childStorages = (storage, prefix) => storage.children
+  .filter((child) => child.type === 'storage' && child.name.toLowerCase().startsWith(prefix.toLowerCase()));
+
+const readRecipient = (compound, storage, codepage) => {
+  const properties = createPropertyReader(compound, storage, PROPERTIES_HEADER_SIZE.child, codepage);
+  return {
+    name: properties.string(PROPERTY.displayName),
+    email: properties.string(PROPERTY.smtpAddress) || properties.string(PROPERTY.emailAddress),
+    type: RECIPIENT_TYPES[properties.long(PROPERTY.recipientType)] ?? 'to'
+  };
+};
+
+const readAttachment = (compound, storage, codepage, depth, namedIds) => {
+  const properties = createPropertyReader(compound, storage, PROPERTIES_HEADER_SIZE.child, codepage);
+  const name = properties.string(PROPERTY.attachLongFilename)
+    || properties.string(PROPERTY.attachFilename)
+    || properties.string(PROPERTY.displayName);
+  const attachment = {
+    name,
+    mimeType: properties.string(PROPERTY.attachMimeTag),
+    method: properties.long(PROPERTY.attachMethod) ?? 0,
+    data: properties.binary(PROPERTY.attachData),
+    message: null
+  };
+  const object = properties.object(PROPERTY.attachData);
+  if (object && attachment.method === ATTACH_EMBEDDED_MESSAGE) {
+    attachment.message = readMessage(
+      compound,
+      object,
+      PROPERTIES_HEADER_SIZE.embeddedMessage,
+      codepage,
+      depth + 1,
+      namedIds
+    );
+  }
+  return attachment;
+};
+
+const readMessage = (compound, storage, headerSize, inheritedCodepage, depth, namedIds) => {
+  const properties = createPropertyReader(compound, storage, headerSize, inheritedCodepage);
+  const labelsId = namedIds.get(LABELS_PROPERTY_NAME);
+  const html = properties.binary(PROPERTY.html);
+  const rtf = properties.binary(PROPERTY.rtfCompressed);
+  return {
+    subject: properties.string(PROPERTY.subject),
+    senderName: properties.string(PROPERTY.senderName),
+    senderEmail: properties.string(PROPERTY.senderSmtpAddress) || properties.string(PROPERTY.senderEmail),
+    displayTo: properties.string(PROPERTY.displayTo),
+    displayCc: properties.string(PROPERTY.displayCc),
+    displayBcc: properties.string(PROPERTY.displayBcc),
+    transportHeaders: properties.string(PROPERTY.transportHeaders),
+    labels: labelsId ? properties.string(labelsId) : '',
+    body: properties.string(PROPERTY.body),
+    html: html
+      ? decodeWith(html, codepageLabel(properties.long(PROPERTY.internetCodepage) ?? 65001))
+      : properties.string(PROPERTY.html),
+    rtf: rtf ? decompressRtf(rtf) : new Uint8Array(0),
+    recipients: childStorages(storage, RECIPIENT_PREFIX)
+      .map((child) => readRecipient(compound, child, properties.codepage)),
+    attachments: depth < MAX_EMBEDDED_DEPTH
+      ? childStorages(storage, ATTACHMENT_PREFIX)
+        .map((child) => readAttachment(compound, child, properties.codepage, depth, namedIds))
+      : []
+  };
+};
+
+// Returns { subject, senderName, senderEmail, displayTo, displayCc, displayBcc, transportHeaders, labels (the
+// msip_labels property), body, html, rtf,
+// recipients: [{ name, email, type: 'to' | 'cc' | 'bcc' }],
+// attachments: [{ name, mimeType, method, data: Uint8Array | null, message: embedded message | null }] }.
+export const parseMsgFile = (buffer) => {
+  const compound = readCompoundFile(buffer);
+  return readMessage(compound, compound.root, PROPERTIES_HEADER_SIZE.message, 1252, 0, readNamedPropertyIds(compound));
+};
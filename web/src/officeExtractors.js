@@ -0,0 +1,579 @@
+import JSZip from 'jszip';
+
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const ODF_TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+const ODF_TABLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:table:1.0';
+const ODF_DRAW_NS = 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0';
+const ODF_PRESENTATION_NS = 'urn:oasis:names:tc:opendocument:xmlns:presentation:1.0';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Repeated empty rows/columns at the end of ODF sheets can claim millions of cells.
+const MAX_REPEATED_CELLS = 1000;
+
+const parseXml = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Document contains malformed XML.');
+  }
+  return doc;
+};
+
+const childElements = (node) => Array.from(node.childNodes).filter((child) => child.nodeType === 1);
+
+const elementsByName = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+
+const readPart = async (zip, path) => {
+  const entry = zip.file(path);
+  return entry ? parseXml(await entry.async('string')) : null;
+};
+
+const resolvePartPath = (basePath, target) => {
+  if (target.startsWith('/')) {
+    return target.slice(1);
+  }
+  const segments = basePath.split('/').slice(0, -1);
+  target.split('/').forEach((segment) => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+};
+
+// Relationships of an OOXML part, keyed by id, with targets resolved to zip paths.
+const readRelationships = async (zip, partPath) => {
+  const slash = partPath.lastIndexOf('/');
+  const relsPath = `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+  const doc = await readPart(zip, relsPath);
+  const relationships = new Map();
+  if (!doc) {
+    return relationships;
+  }
+  Array.from(doc.getElementsByTagNameNS(PACKAGE_RELATIONSHIP_NS, 'Relationship')).forEach((element) => {
+    if (element.getAttribute('TargetMode') === 'External') {
+      return;
+    }
+    relationships.set(element.getAttribute('Id'), {
+      type: element.getAttribute('Type') ?? '',
+      path: resolvePartPath(partPath, element.getAttribute('Target') ?? '')
+    });
+  });
+  return relationships;
+};
+
+const relationshipId = (element) => element.getAttributeNS(RELATIONSHIP_NS, 'id') || element.getAttribute('r:id');
+
+const relationshipsOfType = (relationships, type) => Array.from(relationships.values())
+  .filter((relationship) => relationship.type.endsWith(`/${type}`));
+
+const joinSections = (sections) => sections.filter((section) => section.trim()).join('\n\n');
+
+// --- XLSX ---
+
+// Rich text runs are concatenated; phonetic (rPh) runs are reading aids and are skipped.
+const readStringItem = (item) => elementsByName(item, 't')
+  .filter((element) => element.parentNode?.localName !== 'rPh')
+  .map((element) => element.textContent)
+  .join('');
+
+const readSharedStrings = async (zip, workbookRelationships) => {
+  const [relationship] = relationshipsOfType(workbookRelationships, 'sharedStrings');
+  const doc = await readPart(zip, relationship?.path ?? 'xl/sharedStrings.xml');
+  if (!doc) {
+    return [];
+  }
+  return childElements(doc.documentElement)
+    .filter((element) => element.localName === 'si')
+    .map(readStringItem);
+};
+
+const columnIndex = (reference = '') => {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+  return Array.from(letters).reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0);
+};
+
+const readCellValue = (cell, sharedStrings) => {
+  const type = cell.getAttribute('t') ?? 'n';
+  const valueElement = childElements(cell).find((element) => element.localName === 'v');
+  const value = valueElement?.textContent ?? '';
+  if (type === 'inlineStr') {
+    const inline = childElements(cell).find((element) => element.localName === 'is');
+    return inline ? readStringItem(inline) : '';
+  }
+  if (type === 's') {
+    return sharedStrings[Number(value)] ?? '';
+  }
+  if (type === 'b') {
+    return value === '1' ? 'TRUE' : 'FALSE';
+  }
+  return value;
+};
+
+const readSheetRows = (doc, sharedStrings) => elementsByName(doc, 'row')
+  .map((row, position) => ({ row, index: Number(row.getAttribute('r')) || position + 1 }))
+  .sort((a, b) => a.index - b.index)
+  .map(({ row }) => childElements(row)
+    .filter((element) => element.localName === 'c')
+    .map((cell, position) => ({
+      column: columnIndex(cell.getAttribute('r') ?? '') || position + 1,
+      value: readCellValue(cell, sharedStrings)
+    }))
+    .filter((cell) => cell.value !== '')
+    .sort((a, b) => a.column - b.column)
+    .map((cell) => cell.value)
+    .join('\t'))
+  .filter(Boolean);
+
+export const extractTextFromXlsx = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const workbookPath = 'xl/workbook.xml';
+  const workbook = await readPart(zip, workbookPath);
+  if (!workbook) {
+    throw new Error('Workbook part is missing.');
+  }
+  const relationships = await readRelationships(zip, workbookPath);
+  const sharedStrings = await readSharedStrings(zip, relationships);
+  const sections = [];
+  for (const sheet of elementsByName(workbook, 'sheet')) {
+    const relationship = relationships.get(relationshipId(sheet));
+    const doc = relationship ? await readPart(zip, relationship.path) : null;
+    if (!doc) {
+      continue;
+    }
+    const rows = readSheetRows(doc, sharedStrings);
+    sections.push([sheet.getAttribute('name') ?? '', ...rows].join('\n'));
+  }
+  return joinSections(sections);
+};
+
+// --- PPTX ---
+
+// DrawingML paragraphs: runs (a:t) are concatenated, a:br becomes a line break.
+const readDrawingText = (node) => elementsByName(node, 'p')
+  .filter((paragraph) => paragraph.namespaceURI?.includes('drawingml'))
+  .map((paragraph) => elementsByName(paragraph, '*')
+    .map((element) => {
+      if (element.localName === 't') {
+        return element.textContent;
+      }
+      return element.localName === 'br' ? '\n' : '';
+    })
+    .join(''))
+  .filter((text) => text.trim())
+  .join('\n');
+
+const placeholderType = (shape) => elementsByName(shape, 'ph')[0]?.getAttribute('type') ?? '';
+
+// Only the notes body; the slide image, number, header and footer placeholders are layout furniture.
+const readNotesText = (doc) => elementsByName(doc, 'sp')
+  .filter((shape) => placeholderType(shape) === 'body')
+  .map(readDrawingText)
+  .filter(Boolean)
+  .join('\n');
+
+// Chart titles and axis titles are rich text; series names and categories are cached string values.
+const readChartText = (doc) => {
+  const cachedStrings = elementsByName(doc, 'strCache')
+    .flatMap((cache) => elementsByName(cache, 'v').map((element) => element.textContent));
+  return [readDrawingText(doc), ...cachedStrings].filter((text) => text.trim()).join('\n');
+};
+
+export const extractTextFromPptx = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentationPath = 'ppt/presentation.xml';
+  const presentation = await readPart(zip, presentationPath);
+  if (!presentation) {
+    throw new Error('Presentation part is missing.');
+  }
+  const relationships = await readRelationships(zip, presentationPath);
+  const sections = [];
+  let slideNumber = 0;
+  for (const slideId of elementsByName(presentation, 'sldId')) {
+    const relationship = relationships.get(relationshipId(slideId));
+    const slide = relationship ? await readPart(zip, relationship.path) : null;
+    if (!slide) {
+      continue;
+    }
+    slideNumber += 1;
+    const slideRelationships = await readRelationships(zip, relationship.path);
+    const parts = [`Slide ${slideNumber}`, readDrawingText(slide)];
+    for (const chart of relationshipsOfType(slideRelationships, 'chart')) {
+      const doc = await readPart(zip, chart.path);
+      const chartText = doc ? readChartText(doc) : '';
+      if (chartText) {
+        parts.push(`Chart:\n${chartText}`);
+      }
+    }
+    for (const notes of relationshipsOfType(slideRelationships, 'notesSlide')) {
+      const doc = await readPart(zip, notes.path);
+      const notesText = doc ? readNotesText(doc) : '';
+      if (notesText) {
+        parts.push(`Notes:\n${notesText}`);
+      }
+    }
+    sections.push(parts.filter(Boolean).join('\n'));
+  }
+  return joinSections(sections);
+};
+
+// --- DOCX ---
+
+const WORD_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+const WORD_PARTS = [
+  { type: 'header', name: 'Headers', mimeType: `${WORD_CONTENT_TYPE}.header+xml` },
+  { type: 'footer', name: 'Footers', mimeType: `${WORD_CONTENT_TYPE}.footer+xml` },
+  { type: 'comments', name: 'Comments', mimeType: `${WORD_CONTENT_TYPE}.comments+xml` },
+  { type: 'footnotes', name: 'Footnotes', mimeType: `${WORD_CONTENT_TYPE}.footnotes+xml` },
+  { type: 'endnotes', name: 'Endnotes', mimeType: `${WORD_CONTENT_TYPE}.endnotes+xml` }
+];
+
+// Separator notes only hold the rule drawn above the notes area.
+const NOTE_SEPARATOR_TYPES = new Set(['separator', 'continuationSeparator', 'continuationNotice']);
+
+// Property elements hold tab stops and similar settings that share names with content elements.
+const WORD_SKIPPED_ELEMENTS = new Set([
+  'pPr', 'rPr', 'tblPr', 'trPr', 'tcPr', 'sectPr', 'instrText', 'delInstrText', 'footnoteReference', 'endnoteReference'
+]);
+
+// Inline text of a paragraph, as it reads with all tracked changes accepted. Text box content, tracked
+// deletions and the old position of moved text (moveFrom; moveTo is the new one) are not part of the
+// paragraph's own text; they are routed to `collector` so they can be reported as streams of their own.
+const readWordInline = (node, collector) => childElements(node).map((element) => {
+  const { localName } = element;
+  if (WORD_SKIPPED_ELEMENTS.has(localName)) {
+    return '';
+  }
+  if (localName === 't') {
+    return element.textContent;
+  }
+  if (localName === 'tab') {
+    return '\t';
+  }
+  if (localName === 'br' || localName === 'cr') {
+    return '\n';
+  }
+  if (localName === 'noBreakHyphen') {
+    return '-';
+  }
+  if (localName === 'del') {
+    const deleted = elementsByName(element, 'delText').map((text) => text.textContent).join('');
+    if (deleted.trim()) {
+      collector.revisions.push(deleted);
+    }
+    return '';
+  }
+  if (localName === 'moveFrom') {
+    const moved = readWordInline(element, collector);
+    if (moved.trim()) {
+      collector.revisions.push(moved);
+    }
+    return '';
+  }
+  if (localName === 'txbxContent') {
+    readWordBlocks(element, collector.textBoxes, collector);
+    return '';
+  }
+  if (localName === 'AlternateContent') {
+    // Choice and Fallback carry the same content (e.g. a DrawingML and a VML text box); read it once.
+    const [choice] = childElements(element);
+    return choice ? readWordInline(choice, collector) : '';
+  }
+  return readWordInline(element, collector);
+}).join('');
+
+const readWordTable = (table, lines, collector) => {
+  childElements(table)
+    .filter((row) => row.localName === 'tr')
+    .forEach((row) => {
+      const cells = childElements(row)
+        .filter((cell) => cell.localName === 'tc')
+        .map((cell) => {
+          const cellLines = [];
+          readWordBlocks(cell, cellLines, collector);
+          return cellLines.join(' ');
+        });
+      const line = cells.join('\t');
+      if (line.trim()) {
+        lines.push(line);
+      }
+    });
+};
+
+const readWordBlocks = (node, lines, collector) => {
+  childElements(node).forEach((element) => {
+    if (WORD_SKIPPED_ELEMENTS.has(element.localName)) {
+      return;
+    }
+    if (element.localName === 'p') {
+      const text = readWordInline(element, collector);
+      if (text.trim()) {
+        lines.push(text);
+      }
+      return;
+    }
+    if (element.localName === 'tbl') {
+      readWordTable(element, lines, collector);
+      return;
+    }
+    // Whole paragraphs and tables moved elsewhere.
+    if (element.localName === 'moveFrom') {
+      readWordBlocks(element, collector.revisions, collector);
+      return;
+    }
+    if (element.localName === 'AlternateContent') {
+      const [choice] = childElements(element);
+      if (choice) {
+        readWordBlocks(choice, lines, collector);
+      }
+      return;
+    }
+    readWordBlocks(element, lines, collector);
+  });
+};
+
+const readWordPart = (doc, collector) => {
+  const lines = [];
+  const notes = childElements(doc.documentElement)
+    .filter((element) => element.localName === 'footnote' || element.localName === 'endnote' || element.localName === 'comment');
+  if (notes.length) {
+    notes
+      .filter((note) => !NOTE_SEPARATOR_TYPES.has(note.getAttributeNS(note.namespaceURI, 'type') || note.getAttribute('w:type')))
+      .forEach((note) => readWordBlocks(note, lines, collector));
+  } else {
+    readWordBlocks(doc.documentElement, lines, collector);
+  }
+  return lines.join('\n');
+};
+
+const findMainDocumentPath = async (zip) => {
+  const [relationship] = relationshipsOfType(await readRelationships(zip, ''), 'officeDocument');
+  return relationship?.path ?? 'word/document.xml';
+};
+
+// Returns the parts of a Word document as [{ id, name, mimeType, text }]. `body` is always first;
+// headers, footers, comments, notes, text boxes and (with includeRevisions) tracked deletions and moved-from text
+// follow when they contain text. Every other part reads as if all changes were accepted: insertions and moved-to
+// text stay in the part they were made in, and revisions are left out whether or not they are reported.
+export const extractDocxParts = async (buffer, { includeRevisions = true } = {}) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentPath = await findMainDocumentPath(zip);
+  const doc = await readPart(zip, documentPath);
+  if (!doc) {
+    throw new Error('Document part is missing.');
+  }
+  const collector = { textBoxes: [], revisions: [] };
+  const parts = [{ id: 'body', name: 'Body', text: readWordPart(doc, collector) }];
+  const relationships = await readRelationships(zip, documentPath);
+  for (const part of WORD_PARTS) {
+    const texts = [];
+    for (const relationship of relationshipsOfType(relationships, part.type)) {
+      const partDoc = await readPart(zip, relationship.path);
+      if (partDoc) {
+        texts.push(readWordPart(partDoc, collector));
+      }
+    }
+    parts.push({ id: part.type, name: part.name, mimeType: part.mimeType, text: joinSections(texts) });
+  }
+  parts.push({ id: 'textBoxes', name: 'Text boxes', text: collector.textBoxes.join('\n') });
+  if (includeRevisions) {
+    parts.push({ id: 'revisions', name: 'Tracked deletions and moves', text: collector.revisions.join('\n') });
+  }
+  return parts.filter((part) => part.id === 'body' || part.text.trim());
+};
+
+// --- OpenDocument (odt, ods, odp) ---
+
+const repeatCount = (element, name) => Math.min(
+  MAX_REPEATED_CELLS,
+  Math.max(1, Number(element.getAttributeNS(ODF_TABLE_NS, name)) || 1)
+);
+
+// Inline text of a text:p or text:h, honouring the space, tab and line-break elements.
+const readOdfInline = (node) => Array.from(node.childNodes).map((child) => {
+  if (child.nodeType === 3) {
+    return child.nodeValue;
+  }
+  if (child.nodeType !== 1) {
+    return '';
+  }
+  if (child.namespaceURI === ODF_TEXT_NS) {
+    if (child.localName === 's') {
+      return ' '.repeat(Math.max(1, Number(child.getAttributeNS(ODF_TEXT_NS, 'c')) || 1));
+    }
+    if (child.localName === 'tab') {
+      return '\t';
+    }
+    if (child.localName === 'line-break') {
+      return '\n';
+    }
+    if (child.localName === 'note') {
+      return '';
+    }
+  }
+  return readOdfInline(child);
+}).join('');
+
+// Objects anchored in cells are not followed; only the cell's own paragraphs are read.
+const readOdfCell = (cell, context) => {
+  const lines = [];
+  collectOdfText(cell, lines, { ...context, objects: [] });
+  return lines.filter(Boolean).join(' ');
+};
+
+const readOdfTable = (table, context) => {
+  const rows = [];
+  elementsByName(table, 'table-row')
+    .filter((row) => row.namespaceURI === ODF_TABLE_NS)
+    .forEach((row) => {
+      const cells = childElements(row)
+        .filter((cell) => cell.localName === 'table-cell' || cell.localName === 'covered-table-cell')
+        .flatMap((cell) => Array(repeatCount(cell, 'number-columns-repeated')).fill(readOdfCell(cell, context)));
+      while (cells.length && !cells[cells.length - 1]) {
+        cells.pop();
+      }
+      const line = cells.join('\t');
+      if (line.trim()) {
+        rows.push(...Array(repeatCount(row, 'number-rows-repeated')).fill(line));
+      }
+    });
+  return rows;
+};
+
+// Walks the body in document order. Tables emit one line per row (named sheets get a heading),
+// draw:page becomes a slide heading and embedded objects such as charts are read from their own content.xml.
+const collectOdfText = (node, lines, context) => {
+  childElements(node).forEach((element) => {
+    const { namespaceURI, localName } = element;
+    if (namespaceURI === ODF_TEXT_NS && (localName === 'p' || localName === 'h')) {
+      const text = readOdfInline(element);
+      if (text.trim()) {
+        lines.push(text);
+      }
+      elementsByName(element, 'note-body').forEach((note) => collectOdfText(note, lines, context));
+      return;
+    }
+    if (namespaceURI === ODF_TABLE_NS && localName === 'table') {
+      const name = element.getAttributeNS(ODF_TABLE_NS, 'name');
+      if (context.spreadsheet && name) {
+        lines.push('', name);
+      }
+      lines.push(...readOdfTable(element, context));
+      return;
+    }
+    if (namespaceURI === ODF_DRAW_NS && localName === 'page') {
+      context.slideNumber += 1;
+      lines.push('', `Slide ${context.slideNumber}`);
+      collectOdfText(element, lines, context);
+      return;
+    }
+    if (namespaceURI === ODF_PRESENTATION_NS && localName === 'notes') {
+      const notes = [];
+      collectOdfText(element, notes, context);
+      if (notes.length) {
+        lines.push('Notes:', ...notes);
+      }
+      return;
+    }
+    if (namespaceURI === ODF_DRAW_NS && localName === 'object') {
+      const href = element.getAttributeNS(XLINK_NS, 'href') || '';
+      if (href) {
+        context.objects.push({ path: href.replace(/^\.\//, '').replace(/\/$/, ''), index: lines.length });
+      }
+      lines.push(null);
+      return;
+    }
+    collectOdfText(element, lines, context);
+  });
+};
+
+const readOdfContent = async (zip, prefix, context) => {
+  const doc = await readPart(zip, `${prefix}content.xml`);
+  if (!doc) {
+    return [];
+  }
+  const body = elementsByName(doc, 'body')[0] ?? doc.documentElement;
+  const objectContext = { ...context, objects: [] };
+  const lines = [];
+  collectOdfText(body, lines, objectContext);
+  context.slideNumber = objectContext.slideNumber;
+  for (const object of objectContext.objects) {
+    const objectLines = await readOdfContent(zip, `${prefix}${object.path}/`, { spreadsheet: false, slideNumber: 0, objects: [] });
+    lines[object.index] = objectLines.join('\n');
+  }
+  return lines;
+};
+
+export const extractTextFromOpenDocument = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const mimeType = (await zip.file('mimetype')?.async('string')) ?? '';
+  const lines = await readOdfContent(zip, '', {
+    spreadsheet: mimeType.includes('spreadsheet'),
+    slideNumber: 0,
+    objects: []
+  });
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+// --- Embedded parts ---
+
+// Embedded packages and OLE objects, and the pictures placed in the document.
+const EMBEDDED_PARTS = [
+  { pattern: /^(word|xl|ppt)\/embeddings\/[^/]+$/, kind: 'object' },
+  { pattern: /^(word|xl|ppt)\/media\/[^/]+$/, kind: 'image' },
+  { pattern: /^Pictures\/[^/]+$/, kind: 'image' }
+];
+
+// Returns [{ path, kind: 'object' | 'image', data: ArrayBuffer }] for the embedded parts of an OOXML or ODF
+// package. Images are only read when includeImages is set.
+export const readEmbeddedParts = async (buffer, { includeImages = false } = {}) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const parts = [];
+  for (const entry of Object.values(zip.files)) {
+    const match = entry.dir ? null : EMBEDDED_PARTS.find(({ pattern }) => pattern.test(entry.name));
+    if (match && (match.kind === 'object' || includeImages)) {
+      parts.push({ path: entry.name, kind: match.kind, data: await entry.async('arraybuffer') });
+    }
+  }
+  return parts;
+};
+
+// --- Custom properties ---
+
+const ODF_META_NS = 'urn:oasis:names:tc:opendocument:xmlns:meta:1.0';
+
+// Office 2021+ records sensitivity labels in docMetadata/LabelInfo.xml; they are returned as the MSIP_Label_*
+// custom properties older versions write, so callers read both the same way.
+const readLabelInfo = (label) => {
+  if (label.getAttribute('removed') === '1') {
+    return [];
+  }
+  const prefix = `MSIP_Label_${(label.getAttribute('id') ?? '').replace(/[{}]/g, '')}`;
+  return [
+    [`${prefix}_Enabled`, label.getAttribute('enabled') === '1' ? 'true' : 'false'],
+    [`${prefix}_Method`, label.getAttribute('method') ?? ''],
+    [`${prefix}_SiteId`, (label.getAttribute('siteId') ?? '').replace(/[{}]/g, '')],
+    [`${prefix}_ContentBits`, label.getAttribute('contentBits') ?? '']
+  ];
+};
+
+// Returns [name, value] pairs for the custom properties of an OOXML (docProps/custom.xml) or ODF (meta.xml
+// user-defined fields) package, followed by the labels in LabelInfo.xml.
+export const readPackageProperties = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const relationships = await readRelationships(zip, '');
+  const partPath = (type, fallback) => relationshipsOfType(relationships, type)[0]?.path ?? fallback;
+  const custom = await readPart(zip, partPath('custom-properties', 'docProps/custom.xml'));
+  const meta = await readPart(zip, 'meta.xml');
+  const labelInfo = await readPart(zip, partPath('classificationlabels', 'docMetadata/LabelInfo.xml'));
+  return [
+    ...(custom ? elementsByName(custom, 'property') : [])
+      .map((property) => [property.getAttribute('name'), property.textContent.trim()]),
+    ...(meta ? elementsByName(meta, 'user-defined') : [])
+      .map((field) => [field.getAttributeNS(ODF_META_NS, 'name'), field.textContent.trim()]),
+    ...(labelInfo ? elementsByName(labelInfo, 'label') : []).flatMap(readLabelInfo)
+  ];
+};
@@ -0,0 +1,168 @@
+import { OPS, PDFDateString } from 'pdfjs-dist';
+
+// Reads page layout and the document-level parts of a PDF (annotations, form fields, bookmarks, metadata)
+// from an open pdf.js document. OCR and stream creation stay in extractors.js.
+
+const POINTS_PER_SQUARE_INCH = 72 * 72;
+// A page with less native text than this is treated as having none.
+const MIN_PAGE_TEXT_LENGTH = 10;
+// Pages mostly covered by images with sparse native text (a stamped page number, a scanned appendix
+// with a title line) are scans; a searchable scan carries a dense OCR text layer and is read natively.
+const SCANNED_IMAGE_COVERAGE = 0.5;
+const MIN_TEXT_DENSITY = 1;
+
+// Images are painted into the unit square, so their area is the determinant of the current transform.
+const UNIT_IMAGE_OPS = new Set([
+  OPS.paintImageXObject,
+  OPS.paintInlineImageXObject,
+  OPS.paintJpegXObject,
+  OPS.paintImageMaskXObject,
+  OPS.paintSolidColorImageMask
+]);
+
+const multiplyTransform = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a2 * a1 + b2 * c1,
+  a2 * b1 + b2 * d1,
+  c2 * a1 + d2 * c1,
+  c2 * b1 + d2 * d1,
+  e2 * a1 + f2 * c1 + e1,
+  e2 * b1 + f2 * d1 + f1
+];
+
+const transformArea = ([a, b, c, d]) => Math.abs(a * d - b * c);
+
+// Share of the page (0-1) covered by images, from the page's drawing operators.
+const measureImageCoverage = async (page) => {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const stack = [];
+  let transform = [1, 0, 0, 1, 0, 0];
+  let imageArea = 0;
+  fnArray.forEach((fn, index) => {
+    const args = argsArray[index];
+    if (fn === OPS.save) {
+      stack.push(transform);
+    } else if (fn === OPS.restore) {
+      transform = stack.pop() ?? transform;
+    } else if (fn === OPS.transform) {
+      transform = multiplyTransform(transform, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(transform);
+      if (Array.isArray(args?.[0])) {
+        transform = multiplyTransform(transform, args[0]);
+      }
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      transform = stack.pop() ?? transform;
+    } else if (UNIT_IMAGE_OPS.has(fn)) {
+      imageArea += transformArea(transform);
+    } else if (fn === OPS.paintImageXObjectRepeat) {
+      const [, scaleX, scaleY, positions] = args;
+      imageArea += transformArea(transform) * Math.abs(scaleX * scaleY) * (positions.length / 2);
+    } else if (fn === OPS.paintImageMaskXObjectRepeat) {
+      const [, scaleX, skewX, skewY, scaleY, positions] = args;
+      imageArea += transformArea(transform) * transformArea([scaleX, skewX, skewY, scaleY]) * (positions.length / 2);
+    }
+  });
+  const [x0, y0, x1, y1] = page.view;
+  const pageArea = Math.abs((x1 - x0) * (y1 - y0));
+  return pageArea ? Math.min(1, imageArea / pageArea) : 0;
+};
+
+// Returns { page, pageNumber, text, imageCoverage, textDensity, needsOcr } for one page. textDensity is
+// native characters per square inch, so the threshold does not depend on the page size. Pages with almost
+// no native text are OCR'd whatever they contain (text drawn as outlines has no images), so their image
+// coverage is not measured and is null.
+export const readPdfPage = async (pdf, pageNumber) => {
+  const page = await pdf.getPage(pageNumber);
+  const textContent = await page.getTextContent();
+  const text = textContent.items.map((item) => item.str).join(' ');
+  const textLength = text.replace(/\s+/g, '').length;
+  const [x0, y0, x1, y1] = page.view;
+  const textDensity = textLength / (Math.abs((x1 - x0) * (y1 - y0)) / POINTS_PER_SQUARE_INCH || 1);
+  const imageCoverage = textLength < MIN_PAGE_TEXT_LENGTH ? null : await measureImageCoverage(page);
+  const needsOcr = imageCoverage === null
+    || (imageCoverage >= SCANNED_IMAGE_COVERAGE && textDensity < MIN_TEXT_DENSITY);
+  return { page, pageNumber, text, imageCoverage, textDensity, needsOcr };
+};
+
+const describeAnnotation = (annotation) => {
+  if (annotation.subtype === 'Link') {
+    return annotation.url ?? annotation.unsafeUrl ?? '';
+  }
+  return annotation.contentsObj?.str ?? '';
+};
+
+// Comments, highlights, stamps and links; form widgets are read by readPdfFormFields and popups repeat
+// their parent's text.
+export const readPdfAnnotations = async (pdf) => {
+  const lines = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+    const page = await pdf.getPage(pageNumber);
+    const annotations = await page.getAnnotations();
+    annotations
+      .filter((annotation) => annotation.subtype !== 'Widget' && annotation.subtype !== 'Popup')
+      .forEach((annotation) => {
+        const text = describeAnnotation(annotation).trim();
+        if (!text) {
+          return;
+        }
+        const author = annotation.titleObj?.str ? ` (${annotation.titleObj.str})` : '';
+        lines.push(`Page ${pageNumber} ${annotation.subtype}${author}: ${text}`);
+      });
+  }
+  return lines.join('\n');
+};
+
+const formatFieldValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// AcroForm fields with a value; unchecked boxes ('Off') and empty fields are left out.
+export const readPdfFormFields = async (pdf) => {
+  const fields = await pdf.getFieldObjects();
+  if (!fields) {
+    return '';
+  }
+  return Object.entries(fields)
+    .map(([fieldName, widgets]) => {
+      const value = widgets
+        .map((widget) => widget.value)
+        .find((candidate) => candidate !== undefined && candidate !== null && candidate !== '' && candidate !== 'Off');
+      return value === undefined ? '' : `${fieldName}: ${formatFieldValue(value)}`;
+    })
+    .filter(Boolean)
+    .join('\n');
+};
+
+const flattenOutline = (items, level = 0) => (items ?? []).flatMap((item) => [
+  `${'  '.repeat(level)}${item.title}`,
+  ...flattenOutline(item.items, level + 1)
+]);
+
+// Bookmark titles, indented by level.
+export const readPdfBookmarks = async (pdf) => flattenOutline(await pdf.getOutline()).join('\n');
+
+const INFO_FIELDS = [
+  ['Title', 'Title'],
+  ['Author', 'Author'],
+  ['Subject', 'Subject'],
+  ['Keywords', 'Keywords'],
+  ['Creator', 'Creator'],
+  ['Producer', 'Producer'],
+  ['CreationDate', 'Created'],
+  ['ModDate', 'Modified']
+];
+
+const formatPdfDate = (value) => PDFDateString.toDateObject(value)?.toISOString() ?? value;
+
+const formatXmpValue = (value) => (Array.isArray(value) ? value.join(', ') : value);
+
+// Returns [label, value] pairs from the document information dictionary (including custom entries)
+// followed by the XMP metadata properties.
+export const readPdfMetadata = async (pdf) => {
+  const { info = {}, metadata } = await pdf.getMetadata();
+  const infoFields = INFO_FIELDS.map(([key, label]) => [
+    label,
+    key.endsWith('Date') && info[key] ? formatPdfDate(info[key]) : info[key]
+  ]);
+  const customFields = Object.entries(info.Custom ?? {}).map(([key, value]) => [key, value?.name ?? value]);
+  const xmpFields = Object.entries(metadata?.getAll() ?? {}).map(([key, value]) => [key, formatXmpValue(value)]);
+  return [...infoFields, ...customFields, ...xmpFields];
+};
@@ -0,0 +1,697 @@
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+const toDigitArray = (value) => digitsOf(value).split('').map(Number);
+
+const allSameCharacter = (value) => /^(.)\1*$/.test(value);
+
+export const luhnCheck = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length < 2) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = digits.length - 1, double = false; i >= 0; i -= 1, double = !double) {
+    let digit = digits[i];
+    if (double) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+export const weightedSum = (digits, weights) => weights.reduce((total, weight, index) => total + weight * digits[index], 0);
+
+// mod-11 with the check digit as the final weight-1 position (sum % 11 === 0).
+export const mod11Check = (value, weights) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== weights.length) {
+    return false;
+  }
+  return weightedSum(digits, weights) % 11 === 0;
+};
+
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+export const verhoeffCheck = (value) => {
+  const digits = toDigitArray(value).reverse();
+  let check = 0;
+  digits.forEach((digit, index) => {
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[index % 8][digit]];
+  });
+  return digits.length > 1 && check === 0;
+};
+
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, CH: 21, CR: 22, CY: 28,
+  CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23,
+  GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20,
+  LB: 28, LC: 32, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31, MU: 30,
+  NL: 18, NO: 15, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SC: 31, SE: 24, SI: 19,
+  SK: 24, SM: 27, TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20
+};
+
+export const ibanCheck = (value) => {
+  const iban = value.replace(/[\s-]/g, '').toUpperCase();
+  const expectedLength = IBAN_LENGTHS[iban.slice(0, 2)];
+  if (!expectedLength || iban.length !== expectedLength || !/^[A-Z0-9]+$/.test(iban)) {
+    return false;
+  }
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const numeric = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of numeric) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+export const isValidDate = (year, month, day) => {
+  if (month < 1 || month > 12 || day < 1) {
+    return false;
+  }
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day <= daysInMonth;
+};
+
+const expandYear = (year) => {
+  if (year >= 100) {
+    return year;
+  }
+  const currentYear = new Date().getUTCFullYear() % 100;
+  return year > currentYear ? 1900 + year : 2000 + year;
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const parseMonth = (value) => {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return MONTH_NAMES.indexOf(value.slice(0, 3).toLowerCase()) + 1;
+};
+
+const validateDayMonthYear = (value) => {
+  const parts = value.split(/[\s./-]+/).filter(Boolean);
+  if (parts.length !== 3) {
+    return false;
+  }
+  return isValidDate(expandYear(Number(parts[2])), parseMonth(parts[1]), Number(parts[0]));
+};
+
+const validateMonthDayYear = (value) => {
+  const parts = value.split(/[\s./,-]+/).filter(Boolean);
+  if (parts.length !== 3) {
+    return false;
+  }
+  return isValidDate(expandYear(Number(parts[2])), parseMonth(parts[0]), Number(parts[1]));
+};
+
+const validateCreditCard = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length < 13 || digits.length > 19 || allSameCharacter(digits)) {
+    return false;
+  }
+  const prefix2 = Number(digits.slice(0, 2));
+  const prefix3 = Number(digits.slice(0, 3));
+  const prefix4 = Number(digits.slice(0, 4));
+  const knownIssuer = digits[0] === '4'
+    || (prefix2 >= 51 && prefix2 <= 55)
+    || (prefix4 >= 2221 && prefix4 <= 2720)
+    || prefix2 === 34 || prefix2 === 37
+    || prefix4 === 6011 || prefix2 === 65 || (prefix3 >= 644 && prefix3 <= 649)
+    || (prefix4 >= 3528 && prefix4 <= 3589)
+    || prefix2 === 36 || prefix2 === 38 || (prefix3 >= 300 && prefix3 <= 305)
+    || prefix2 === 62;
+  return knownIssuer && luhnCheck(digits);
+};
+
+const validateUsSsn = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length !== 9) {
+    return false;
+  }
+  const area = digits.slice(0, 3);
+  return area !== '000' && area !== '666' && area[0] !== '9'
+    && digits.slice(3, 5) !== '00'
+    && digits.slice(5) !== '0000';
+};
+
+const validateAustralianTfn = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length === 9) {
+    return mod11Check(digits, [1, 4, 3, 7, 5, 8, 6, 9, 10]);
+  }
+  if (digits.length === 8) {
+    return mod11Check(digits, [10, 7, 8, 4, 6, 3, 5, 1]);
+  }
+  return false;
+};
+
+const validateAustralianAbn = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 11 || digits[0] === 0) {
+    return false;
+  }
+  digits[0] -= 1;
+  return weightedSum(digits, [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19]) % 89 === 0;
+};
+
+const validateAustralianAcn = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 9) {
+    return false;
+  }
+  const remainder = weightedSum(digits, [8, 7, 6, 5, 4, 3, 2, 1]) % 10;
+  return (10 - remainder) % 10 === digits[8];
+};
+
+const validateAustralianMedicare = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length < 10 || digits.length > 11 || digits[0] < 2 || digits[0] > 6) {
+    return false;
+  }
+  return weightedSum(digits, [1, 3, 7, 9, 1, 3, 7, 9]) % 10 === digits[8];
+};
+
+const validateUkNhs = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 10) {
+    return false;
+  }
+  const check = 11 - (weightedSum(digits, [10, 9, 8, 7, 6, 5, 4, 3, 2]) % 11);
+  if (check === 10) {
+    return false;
+  }
+  return (check === 11 ? 0 : check) === digits[9];
+};
+
+const validateAbaRouting = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 9) {
+    return false;
+  }
+  const prefix = digits[0] * 10 + digits[1];
+  const validPrefix = prefix <= 12 || (prefix >= 21 && prefix <= 32) || (prefix >= 61 && prefix <= 72) || prefix === 80;
+  return validPrefix && weightedSum(digits, [3, 7, 1, 3, 7, 1, 3, 7, 1]) % 10 === 0;
+};
+
+const validateDeaNumber = (value) => {
+  const digits = toDigitArray(value.slice(2));
+  if (digits.length !== 7) {
+    return false;
+  }
+  const sum = digits[0] + digits[2] + digits[4] + 2 * (digits[1] + digits[3] + digits[5]);
+  return sum % 10 === digits[6];
+};
+
+const validateBrazilCpf = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 11 || allSameCharacter(digits.join(''))) {
+    return false;
+  }
+  const checkDigit = (length) => {
+    const sum = digits.slice(0, length).reduce((total, digit, index) => total + digit * (length + 1 - index), 0);
+    const remainder = (sum * 10) % 11;
+    return remainder === 10 ? 0 : remainder;
+  };
+  return checkDigit(9) === digits[9] && checkDigit(10) === digits[10];
+};
+
+const validateChinaResidentId = (value) => {
+  const id = value.replace(/\s/g, '').toUpperCase();
+  if (!/^\d{17}[\dX]$/.test(id)) {
+    return false;
+  }
+  const digits = id.slice(0, 17).split('').map(Number);
+  const sum = weightedSum(digits, [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2]);
+  const year = Number(id.slice(6, 10));
+  return '10X98765432'[sum % 11] === id[17]
+    && isValidDate(year, Number(id.slice(10, 12)), Number(id.slice(12, 14)));
+};
+
+const validateKoreaRrn = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 13) {
+    return false;
+  }
+  const sum = weightedSum(digits, [2, 3, 4, 5, 6, 7, 8, 9, 2, 3, 4, 5]);
+  return (11 - (sum % 11)) % 10 === digits[12];
+};
+
+const validateJapanMyNumber = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 12) {
+    return false;
+  }
+  let sum = 0;
+  for (let n = 1; n <= 11; n += 1) {
+    const digit = digits[11 - n];
+    sum += digit * (n <= 6 ? n + 1 : n - 5);
+  }
+  const remainder = sum % 11;
+  return (remainder <= 1 ? 0 : 11 - remainder) === digits[11];
+};
+
+const validateSingaporeNric = (value) => {
+  const id = value.toUpperCase();
+  const digits = toDigitArray(id.slice(1, 8));
+  let sum = weightedSum(digits, [2, 7, 6, 5, 4, 3, 2]);
+  if (id[0] === 'T' || id[0] === 'G') {
+    sum += 4;
+  }
+  const table = id[0] === 'S' || id[0] === 'T' ? 'JZIHGFEDCBA' : 'XWUTRQPNMLK';
+  return table[sum % 11] === id[8];
+};
+
+const validateBelgiumNationalNumber = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length !== 11) {
+    return false;
+  }
+  const base = Number(digits.slice(0, 9));
+  const check = Number(digits.slice(9));
+  return 97 - (base % 97) === check || 97 - (Number(`2${digits.slice(0, 9)}`) % 97) === check;
+};
+
+const validatePolandPesel = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 11) {
+    return false;
+  }
+  return (10 - (weightedSum(digits, [1, 3, 7, 9, 1, 3, 7, 9, 1, 3]) % 10)) % 10 === digits[10];
+};
+
+const validateNetherlandsBsn = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 9 || allSameCharacter(digits.join(''))) {
+    return false;
+  }
+  return mod11Check(digits.join(''), [9, 8, 7, 6, 5, 4, 3, 2, -1]);
+};
+
+const validateSpainDni = (value) => {
+  const id = value.replace(/[\s-]/g, '').toUpperCase();
+  const normalized = id.replace(/^[XYZ]/, (letter) => String('XYZ'.indexOf(letter)));
+  const number = Number(normalized.slice(0, 8));
+  return 'TRWAGMYFPDXBNJZSQVHLCKE'[number % 23] === normalized[8];
+};
+
+const validateFinlandHetu = (value) => {
+  const id = value.toUpperCase();
+  const number = Number(`${id.slice(0, 6)}${id.slice(7, 10)}`);
+  return '0123456789ABCDEFHJKLMNPRSTUVWXY'[number % 31] === id[10]
+    && isValidDate(2000, Number(id.slice(2, 4)), Number(id.slice(0, 2)));
+};
+
+const validateNorwayBirthNumber = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 11) {
+    return false;
+  }
+  const control = (weights) => {
+    const remainder = 11 - (weightedSum(digits, weights) % 11);
+    return remainder === 11 ? 0 : remainder;
+  };
+  const k1 = control([3, 7, 6, 1, 8, 9, 4, 5, 2]);
+  const k2 = control([5, 4, 3, 2, 7, 6, 5, 4, 3, 2]);
+  return k1 < 10 && k2 < 10 && k1 === digits[9] && k2 === digits[10];
+};
+
+const validateSwedenPersonnummer = (value) => {
+  const digits = digitsOf(value);
+  const last10 = digits.slice(-10);
+  return last10.length === 10
+    && isValidDate(2000, Number(last10.slice(2, 4)), Number(last10.slice(4, 6)) % 60)
+    && luhnCheck(last10);
+};
+
+const validateSouthAfricaId = (value) => {
+  const digits = digitsOf(value);
+  return digits.length === 13
+    && isValidDate(2000, Number(digits.slice(2, 4)), Number(digits.slice(4, 6)))
+    && luhnCheck(digits);
+};
+
+const validateIrelandPps = (value) => {
+  const id = value.toUpperCase();
+  const digits = toDigitArray(id.slice(0, 7));
+  let sum = weightedSum(digits, [8, 7, 6, 5, 4, 3, 2]);
+  if (id.length === 9 && id[8] !== 'W') {
+    sum += (id.charCodeAt(8) - 64) * 9;
+  }
+  return 'WABCDEFGHIJKLMNOPQRSTUV'[sum % 23] === id[7];
+};
+
+const validateGermanyTaxId = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 11 || digits[0] === 0) {
+    return false;
+  }
+  let product = 10;
+  for (let i = 0; i < 10; i += 1) {
+    let sum = (digits[i] + product) % 10;
+    if (sum === 0) {
+      sum = 10;
+    }
+    product = (sum * 2) % 11;
+  }
+  const check = 11 - product;
+  return (check === 10 ? 0 : check) === digits[10];
+};
+
+const validateFranceTaxNumber = (value) => {
+  const digits = digitsOf(value);
+  return digits.length === 13 && Number(digits.slice(0, 10)) % 511 === Number(digits.slice(10));
+};
+
+const validatePortugalNif = (value) => {
+  const digits = toDigitArray(value);
+  if (digits.length !== 9) {
+    return false;
+  }
+  const remainder = weightedSum(digits, [9, 8, 7, 6, 5, 4, 3, 2]) % 11;
+  return (remainder < 2 ? 0 : 11 - remainder) === digits[8];
+};
+
+const ITALY_ODD_VALUES = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21, 2, 4, 18, 20, 11, 3, 6, 8, 12, 14, 16, 10, 22, 25, 24, 23];
+
+const validateItalyFiscalCode = (value) => {
+  const code = value.toUpperCase();
+  let sum = 0;
+  for (let i = 0; i < 15; i += 1) {
+    const char = code[i];
+    const ordinal = /\d/.test(char) ? Number(char) : char.charCodeAt(0) - 65;
+    sum += i % 2 === 0 ? ITALY_ODD_VALUES[ordinal] : ordinal;
+  }
+  return String.fromCharCode(65 + (sum % 26)) === code[15];
+};
+
+const validateUaeId = (value) => {
+  const digits = digitsOf(value);
+  return digits.length === 15 && digits.startsWith('784') && luhnCheck(digits);
+};
+
+const validateIndiaAadhaar = (value) => {
+  const digits = digitsOf(value);
+  return digits.length === 12 && digits[0] !== '0' && digits[0] !== '1' && verhoeffCheck(digits);
+};
+
+const validateExpirationDate = (value) => {
+  const parts = value.split(/[\s/-]+/).filter(Boolean);
+  if (parts.length !== 2) {
+    return false;
+  }
+  const month = parseMonth(parts[0]);
+  return month >= 1 && month <= 12;
+};
+
+const NUMERIC_BOUNDARY_START = '(?<![\\w-])';
+const NUMERIC_BOUNDARY_END = '(?![\\w-])';
+const bounded = (source) => `${NUMERIC_BOUNDARY_START}${source}${NUMERIC_BOUNDARY_END}`;
+
+const registry = new Map();
+
+export const registerPurviewFunction = (name, definition) => {
+  if (!name || !definition?.pattern || typeof definition.validate !== 'function') {
+    throw new Error('Purview functions need a name, a candidate pattern and a validate function.');
+  }
+  registry.set(name.toLowerCase(), {
+    name,
+    flags: 'g',
+    description: '',
+    ...definition
+  });
+};
+
+export const getPurviewFunction = (name) => (name ? registry.get(name.toLowerCase()) ?? null : null);
+
+export const hasPurviewFunction = (name) => Boolean(getPurviewFunction(name));
+
+export const listPurviewFunctions = () => Array.from(registry.values()).map(({ name, description }) => ({ name, description }));
+
+export const findPurviewFunctionMatches = (text, name) => {
+  const definition = getPurviewFunction(name);
+  if (!definition || !text) {
+    return [];
+  }
+  const flags = Array.from(new Set(`${definition.flags}gd`.split(''))).join('');
+  const regex = new RegExp(definition.pattern, flags);
+  const instances = [];
+  for (const match of text.matchAll(regex)) {
+    const value = match[0];
+    if (value && definition.validate(value)) {
+      const [start, end] = match.indices[0];
+      instances.push({ start, end, value });
+    }
+  }
+  return instances;
+};
+
+const BUILT_IN_FUNCTIONS = {
+  Func_credit_card: {
+    description: 'Payment card numbers (13-19 digits) from known issuers that pass the Luhn check.',
+    pattern: bounded('(?:\\d[ -]?){12,18}\\d'),
+    validate: validateCreditCard
+  },
+  Func_expiration_date: {
+    description: 'Card expiration dates such as 04/27, 04-2027 or Apr 2027.',
+    pattern: `\\b(?:0?[1-9]|1[0-2]|${MONTH_PATTERN})\\s?[/-]?\\s?(?:20)?\\d{2}\\b`,
+    flags: 'gi',
+    validate: validateExpirationDate
+  },
+  Func_eu_date: {
+    description: 'Day-first dates (dd/mm/yyyy, dd.mm.yy, 12 March 2024).',
+    pattern: `\\b(?:0?[1-9]|[12]\\d|3[01])(?:[./-](?:0?[1-9]|1[0-2])[./-]|\\s${MONTH_PATTERN}\\.?\\s)(?:\\d{4}|\\d{2})\\b`,
+    flags: 'gi',
+    validate: validateDayMonthYear
+  },
+  Func_us_date: {
+    description: 'Month-first dates (mm/dd/yyyy, March 12, 2024).',
+    pattern: `\\b(?:(?:0?[1-9]|1[0-2])[./-](?:0?[1-9]|[12]\\d|3[01])[./-]|${MONTH_PATTERN}\\.?\\s(?:0?[1-9]|[12]\\d|3[01]),?\\s)(?:\\d{4}|\\d{2})\\b`,
+    flags: 'gi',
+    validate: validateMonthDayYear
+  },
+  Func_ssn: {
+    description: 'Formatted U.S. Social Security numbers (###-##-#### or ### ## ####).',
+    pattern: bounded('\\d{3}([- ])\\d{2}\\1\\d{4}'),
+    validate: validateUsSsn
+  },
+  Func_unformatted_ssn: {
+    description: 'Unformatted nine-digit U.S. Social Security numbers.',
+    pattern: bounded('\\d{9}'),
+    validate: validateUsSsn
+  },
+  Func_randomized_formatted_ssn: {
+    description: 'Formatted U.S. Social Security numbers issued after SSN randomization.',
+    pattern: bounded('\\d{3}([- ])\\d{2}\\1\\d{4}'),
+    validate: validateUsSsn
+  },
+  Func_us_social_security_number: {
+    description: 'U.S. Social Security numbers, formatted or unformatted.',
+    pattern: bounded('\\d{3}(?:([- ])\\d{2}\\1|\\d{2})\\d{4}'),
+    validate: validateUsSsn
+  },
+  Func_itin: {
+    description: 'U.S. Individual Taxpayer Identification Numbers.',
+    pattern: bounded('9\\d{2}[- ]?(?:5\\d|6[0-5]|7\\d|8[0-8]|9[0-24-9])[- ]?\\d{4}'),
+    validate: (value) => digitsOf(value).length === 9
+  },
+  Func_aba_routing: {
+    description: 'ABA bank routing numbers with the 3-7-1 checksum.',
+    pattern: bounded('\\d{4}-?\\d{4}-?\\d'),
+    validate: validateAbaRouting
+  },
+  Func_dea_number: {
+    description: 'U.S. Drug Enforcement Agency registration numbers.',
+    pattern: '\\b[A-Z][A-Z9]\\d{7}\\b',
+    validate: validateDeaNumber
+  },
+  Func_iban: {
+    description: 'International Bank Account Numbers with the ISO 13616 mod-97 check.',
+    pattern: '\\b[A-Z]{2}\\d{2}(?:[ -]?[A-Z0-9]{4}){2,7}(?:[ -]?[A-Z0-9]{1,3})?\\b',
+    validate: ibanCheck
+  },
+  Func_australian_tax_file_number: {
+    description: 'Australian tax file numbers (8 or 9 digits, mod-11).',
+    pattern: bounded('\\d{3} ?\\d{3} ?\\d{2,3}'),
+    validate: validateAustralianTfn
+  },
+  Func_australian_business_number: {
+    description: 'Australian business numbers (11 digits, mod-89).',
+    pattern: bounded('\\d{2} ?\\d{3} ?\\d{3} ?\\d{3}'),
+    validate: validateAustralianAbn
+  },
+  Func_australian_company_number: {
+    description: 'Australian company numbers (9 digits with ASIC check digit).',
+    pattern: bounded('\\d{3} ?\\d{3} ?\\d{3}'),
+    validate: validateAustralianAcn
+  },
+  Func_australian_medical_account_number: {
+    description: 'Australian Medicare numbers (10-11 digits with check digit).',
+    pattern: bounded('[2-6]\\d{3} ?\\d{5} ?\\d(?:-?\\d)?'),
+    validate: validateAustralianMedicare
+  },
+  Func_uk_nhs_number: {
+    description: 'UK National Health Service numbers (10 digits, mod-11).',
+    pattern: bounded('\\d{3}[ -]?\\d{3}[ -]?\\d{4}'),
+    validate: validateUkNhs
+  },
+  Func_uk_nino: {
+    description: 'UK National Insurance numbers.',
+    pattern: '\\b(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\\d{2} ?\\d{2} ?\\d{2} ?[A-D]\\b',
+    flags: 'gi',
+    validate: () => true
+  },
+  Func_canadian_sin: {
+    description: 'Canadian social insurance numbers (9 digits, Luhn).',
+    pattern: bounded('\\d{3}[- ]?\\d{3}[- ]?\\d{3}'),
+    validate: luhnCheck
+  },
+  Func_india_aadhaar: {
+    description: 'India Aadhaar numbers (12 digits, Verhoeff).',
+    pattern: bounded('\\d{4}[ -]?\\d{4}[ -]?\\d{4}'),
+    validate: validateIndiaAadhaar
+  },
+  Func_brazil_cpf: {
+    description: 'Brazil CPF numbers (two mod-11 check digits).',
+    pattern: bounded('\\d{3}\\.?\\d{3}\\.?\\d{3}-?\\d{2}'),
+    validate: validateBrazilCpf
+  },
+  Func_china_resident_id: {
+    description: 'China resident identity card numbers (ISO 7064 MOD 11-2).',
+    pattern: '\\b\\d{17}[\\dXx]\\b',
+    validate: validateChinaResidentId
+  },
+  Func_south_korea_resident_number: {
+    description: 'South Korea resident registration numbers.',
+    pattern: bounded('\\d{6}-?[1-8]\\d{6}'),
+    validate: validateKoreaRrn
+  },
+  Func_japanese_my_number_personal: {
+    description: 'Japan My Number (personal) identifiers.',
+    pattern: bounded('\\d{4}[ -]?\\d{4}[ -]?\\d{4}'),
+    validate: validateJapanMyNumber
+  },
+  Func_singapore_nric: {
+    description: 'Singapore NRIC/FIN numbers.',
+    pattern: '\\b[STFG]\\d{7}[A-Z]\\b',
+    flags: 'gi',
+    validate: validateSingaporeNric
+  },
+  Func_belgium_national_number: {
+    description: 'Belgium national register numbers (mod-97).',
+    pattern: bounded('\\d{2}\\.?\\d{2}\\.?\\d{2}[- ]?\\d{3}\\.?\\d{2}'),
+    validate: validateBelgiumNationalNumber
+  },
+  Func_pesel_identification_number: {
+    description: 'Poland PESEL numbers.',
+    pattern: bounded('\\d{11}'),
+    validate: validatePolandPesel
+  },
+  Func_netherlands_bsn: {
+    description: 'Netherlands citizen service numbers (BSN, 11-proof).',
+    pattern: bounded('\\d{4}\\.?\\d{2}\\.?\\d{3}|\\d{3}\\.?\\d{3}\\.?\\d{3}'),
+    validate: validateNetherlandsBsn
+  },
+  Func_spain_eu_DL_and_NI_number_citizen: {
+    description: 'Spain DNI numbers (8 digits and a check letter).',
+    pattern: bounded('\\d{8}-?[A-Z]'),
+    flags: 'gi',
+    validate: validateSpainDni
+  },
+  Func_spain_eu_DL_and_NI_number_foreigner: {
+    description: 'Spain NIE numbers (X/Y/Z, 7 digits and a check letter).',
+    pattern: bounded('[XYZ]-?\\d{7}-?[A-Z]'),
+    flags: 'gi',
+    validate: validateSpainDni
+  },
+  Func_finnish_national_id: {
+    description: 'Finland personal identity codes (HETU).',
+    pattern: '\\b\\d{6}[-+A-FU-Y]\\d{3}[0-9A-Y]\\b',
+    flags: 'gi',
+    validate: validateFinlandHetu
+  },
+  Func_norway_birth_number: {
+    description: 'Norway national identity numbers (two mod-11 controls).',
+    pattern: bounded('\\d{6} ?\\d{5}'),
+    validate: validateNorwayBirthNumber
+  },
+  Func_swedish_national_identifier: {
+    description: 'Sweden personal identity numbers (Luhn on the last 10 digits).',
+    pattern: bounded('(?:\\d{2})?\\d{6}[-+]?\\d{4}'),
+    validate: validateSwedenPersonnummer
+  },
+  Func_south_africa_identification_number: {
+    description: 'South Africa identification numbers (13 digits, Luhn).',
+    pattern: bounded('\\d{6} ?\\d{4} ?\\d{2} ?\\d'),
+    validate: validateSouthAfricaId
+  },
+  Func_israeli_national_id_number: {
+    description: 'Israel national ID numbers (9 digits, Luhn).',
+    pattern: bounded('\\d{9}'),
+    validate: luhnCheck
+  },
+  Func_ireland_pps: {
+    description: 'Ireland personal public service numbers.',
+    pattern: '\\b\\d{7}[A-W][ABHW]?\\b',
+    flags: 'gi',
+    validate: validateIrelandPps
+  },
+  Func_germany_eu_tax_file_number: {
+    description: 'Germany tax identification numbers (ISO 7064 MOD 11,10).',
+    pattern: bounded('\\d{2} ?\\d{3} ?\\d{3} ?\\d{3}'),
+    validate: validateGermanyTaxId
+  },
+  Func_france_eu_tax_file_number: {
+    description: 'France tax identification numbers (SPI, mod-511).',
+    pattern: bounded('[0-3]\\d ?\\d{2} ?\\d{3} ?\\d{3} ?\\d{3}'),
+    validate: validateFranceTaxNumber
+  },
+  Func_portugal_eu_tax_file_number: {
+    description: 'Portugal tax identification numbers (NIF, mod-11).',
+    pattern: bounded('[1235689]\\d{2} ?\\d{3} ?\\d{3}'),
+    validate: validatePortugalNif
+  },
+  Func_italy_eu_national_id_card: {
+    description: 'Italy fiscal codes (codice fiscale check character).',
+    pattern: '\\b[A-Z]{6}\\d{2}[A-EHLMPR-T]\\d{2}[A-Z]\\d{3}[A-Z]\\b',
+    flags: 'gi',
+    validate: validateItalyFiscalCode
+  },
+  Func_uae_identity_card_number: {
+    description: 'UAE identity card numbers (784-YYYY-NNNNNNN-C, Luhn).',
+    pattern: bounded('784-?\\d{4}-?\\d{7}-?\\d'),
+    validate: validateUaeId
+  }
+};
+
+Object.entries(BUILT_IN_FUNCTIONS).forEach(([name, definition]) => registerPurviewFunction(name, definition));
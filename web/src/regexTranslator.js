@@ -0,0 +1,796 @@
+const PATTERN_SPECIAL = '\\^$.|?*+()[]{}/';
+const CLASS_SPECIAL = '\\]^-[';
+const SHORTHAND_ESCAPES = 'dDwWsS';
+// .NET's \d, \w and \s are Unicode-aware. JavaScript's \d and \w are ASCII-only and its \s differs only on U+0085
+// and U+FEFF, so all three are spelled out to match exactly.
+const SHORTHAND_MEMBERS = { d: '\\p{Nd}', w: '\\p{L}\\p{Mn}\\p{Nd}\\p{Pc}', s: '\\f\\n\\r\\t\\v\\x85\\p{Z}' };
+const WORD_CLASS = `[${SHORTHAND_MEMBERS.w}]`;
+const BOUNDARIES = {
+  b: `(?:(?<=${WORD_CLASS})(?!${WORD_CLASS})|(?<!${WORD_CLASS})(?=${WORD_CLASS}))`,
+  B: `(?:(?<=${WORD_CLASS})(?=${WORD_CLASS})|(?<!${WORD_CLASS})(?!${WORD_CLASS}))`
+};
+const CONTROL_ESCAPES = { a: 0x07, t: 0x09, n: 0x0a, v: 0x0b, f: 0x0c, r: 0x0d, e: 0x1b };
+// Wider ranges are assumed to cover both cases already.
+const CASE_EXPANSION_LIMIT = 0x3000;
+
+const UNICODE_CATEGORIES = new Set([
+  'L', 'Lu', 'Ll', 'Lt', 'Lm', 'Lo',
+  'M', 'Mn', 'Mc', 'Me',
+  'N', 'Nd', 'Nl', 'No',
+  'P', 'Pc', 'Pd', 'Ps', 'Pe', 'Pi', 'Pf', 'Po',
+  'S', 'Sm', 'Sc', 'Sk', 'So',
+  'Z', 'Zs', 'Zl', 'Zp',
+  'C', 'Cc', 'Cf', 'Cs', 'Co', 'Cn'
+]);
+
+// .NET named blocks (\p{IsGreek}) have no JavaScript equivalent, so they are rewritten as code point ranges.
+const UNICODE_BLOCKS = {
+  BasicLatin: [0x0000, 0x007f],
+  'Latin-1Supplement': [0x0080, 0x00ff],
+  'LatinExtended-A': [0x0100, 0x017f],
+  'LatinExtended-B': [0x0180, 0x024f],
+  IPAExtensions: [0x0250, 0x02af],
+  CombiningDiacriticalMarks: [0x0300, 0x036f],
+  Greek: [0x0370, 0x03ff],
+  GreekandCoptic: [0x0370, 0x03ff],
+  Cyrillic: [0x0400, 0x04ff],
+  Armenian: [0x0530, 0x058f],
+  Hebrew: [0x0590, 0x05ff],
+  Arabic: [0x0600, 0x06ff],
+  Devanagari: [0x0900, 0x097f],
+  Bengali: [0x0980, 0x09ff],
+  Tamil: [0x0b80, 0x0bff],
+  Thai: [0x0e00, 0x0e7f],
+  HangulJamo: [0x1100, 0x11ff],
+  LatinExtendedAdditional: [0x1e00, 0x1eff],
+  GreekExtended: [0x1f00, 0x1fff],
+  GeneralPunctuation: [0x2000, 0x206f],
+  CurrencySymbols: [0x20a0, 0x20cf],
+  LetterlikeSymbols: [0x2100, 0x214f],
+  CJKRadicalsSupplement: [0x2e80, 0x2eff],
+  CJKSymbolsandPunctuation: [0x3000, 0x303f],
+  Hiragana: [0x3040, 0x309f],
+  Katakana: [0x30a0, 0x30ff],
+  Bopomofo: [0x3100, 0x312f],
+  HangulCompatibilityJamo: [0x3130, 0x318f],
+  CJKUnifiedIdeographsExtensionA: [0x3400, 0x4dbf],
+  CJKUnifiedIdeographs: [0x4e00, 0x9fff],
+  HangulSyllables: [0xac00, 0xd7af],
+  CJKCompatibilityIdeographs: [0xf900, 0xfaff],
+  'ArabicPresentationForms-A': [0xfb50, 0xfdff],
+  'ArabicPresentationForms-B': [0xfe70, 0xfeff],
+  HalfwidthandFullwidthForms: [0xff00, 0xffef]
+};
+
+const createTranslationError = (message, position = null) => {
+  const error = new Error(position === null ? message : `${message} (offset ${position})`);
+  error.name = 'RegexTranslationError';
+  error.position = position;
+  return error;
+};
+
+const toHex = (code, width) => code.toString(16).toUpperCase().padStart(width, '0');
+
+const escapeCodePoint = (code, inClass) => {
+  const char = String.fromCodePoint(code);
+  if ((inClass ? CLASS_SPECIAL : PATTERN_SPECIAL).includes(char)) {
+    return `\\${char}`;
+  }
+  if (code <= 0xff && (code < 0x20 || (code >= 0x7f && code <= 0xa0))) {
+    return `\\x${toHex(code, 2)}`;
+  }
+  if ((code >= 0xd800 && code <= 0xdfff) || code === 0x2028 || code === 0x2029 || code === 0xfeff) {
+    return `\\u${toHex(code, 4)}`;
+  }
+  return char;
+};
+
+const otherCases = (code) => {
+  const char = String.fromCodePoint(code);
+  return [char.toLowerCase(), char.toUpperCase()]
+    .filter((variant) => variant !== char && [...variant].length === 1)
+    .map((variant) => variant.codePointAt(0));
+};
+
+const rangeOtherCases = (from, to) => {
+  if (to - from > CASE_EXPANSION_LIMIT) {
+    return [];
+  }
+  const codes = [];
+  for (let code = from; code <= to; code += 1) {
+    otherCases(code).forEach((other) => {
+      if (other < from || other > to) {
+        codes.push(other);
+      }
+    });
+  }
+  return codes;
+};
+
+const hasCaseVariants = (item) => {
+  if (item.type === 'char') {
+    return otherCases(item.code).length > 0;
+  }
+  if (item.type === 'range') {
+    return item.to - item.from > CASE_EXPANSION_LIMIT || rangeOtherCases(item.from, item.to).length > 0;
+  }
+  return false;
+};
+
+const compressCodes = (codes) => {
+  const sorted = Array.from(new Set(codes)).sort((a, b) => a - b);
+  const parts = [];
+  for (let index = 0; index < sorted.length; index += 1) {
+    const from = sorted[index];
+    while (sorted[index + 1] === sorted[index] + 1) {
+      index += 1;
+    }
+    const to = sorted[index];
+    parts.push(from === to
+      ? escapeCodePoint(from, true)
+      : `${escapeCodePoint(from, true)}-${escapeCodePoint(to, true)}`);
+  }
+  return parts.join('');
+};
+
+const parseDotNetPattern = (pattern, initialOptions, report) => {
+  let position = 0;
+
+  const fail = (message) => {
+    throw createTranslationError(message, position);
+  };
+  const peek = (offset = 0) => pattern[position + offset];
+  const eat = (text) => {
+    if (pattern.startsWith(text, position)) {
+      position += text.length;
+      return true;
+    }
+    return false;
+  };
+  const readCodePoint = () => {
+    const code = pattern.codePointAt(position);
+    position += code > 0xffff ? 2 : 1;
+    return code;
+  };
+  const readHex = (length) => {
+    const digits = pattern.slice(position, position + length);
+    if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(digits)) {
+      fail('Insufficient hexadecimal digits');
+    }
+    position += length;
+    return Number.parseInt(digits, 16);
+  };
+  const readDelimited = (close, message) => {
+    const end = pattern.indexOf(close, position);
+    if (end < 0) {
+      fail(message);
+    }
+    const value = pattern.slice(position, end);
+    position = end + 1;
+    return value;
+  };
+
+  // (?x) ignores unescaped whitespace and # comments outside character classes.
+  const skipFreeSpacing = (options) => {
+    while (options.x && position < pattern.length) {
+      if (/\s/.test(peek())) {
+        position += 1;
+      } else if (peek() === '#') {
+        while (position < pattern.length && peek() !== '\n') {
+          position += 1;
+        }
+      } else {
+        return;
+      }
+    }
+  };
+
+  const parseProperty = (negated) => {
+    if (!eat('{')) {
+      fail('Malformed \\p{X} character escape');
+    }
+    const name = readDelimited('}', 'Incomplete \\p{X} character escape');
+    if (UNICODE_CATEGORIES.has(name)) {
+      return { type: 'property', name, negated };
+    }
+    if (name.startsWith('Is') && UNICODE_BLOCKS[name.slice(2)]) {
+      const [from, to] = UNICODE_BLOCKS[name.slice(2)];
+      return { type: 'block', from, to, negated };
+    }
+    return fail(`Unicode category or block "${name}" is not supported`);
+  };
+
+  const parseEscape = (options, inClass) => {
+    if (position >= pattern.length) {
+      fail('Illegal \\ at end of pattern');
+    }
+    const char = pattern[position];
+    position += 1;
+    const literal = (code) => ({ type: 'char', code, ignoreCase: options.i });
+
+    if (SHORTHAND_ESCAPES.includes(char)) {
+      return { type: 'shorthand', letter: char };
+    }
+    if (char === 'p' || char === 'P') {
+      return parseProperty(char === 'P');
+    }
+    if (CONTROL_ESCAPES[char] !== undefined) {
+      return literal(CONTROL_ESCAPES[char]);
+    }
+    if (char === 'x') {
+      return literal(readHex(2));
+    }
+    if (char === 'u') {
+      return literal(readHex(4));
+    }
+    if (char === 'c') {
+      const letter = peek();
+      if (!letter || !/[A-Za-z@[\\\]^_]/.test(letter)) {
+        fail('Missing control character');
+      }
+      position += 1;
+      return literal(letter.toUpperCase().charCodeAt(0) % 32);
+    }
+    if (char === '0' || (inClass && /[1-7]/.test(char))) {
+      const digits = /^[0-7]{0,2}/.exec(pattern.slice(position))[0];
+      position += digits.length;
+      return literal(Number.parseInt(`${char}${digits}`, 8));
+    }
+    if (inClass && char === 'b') {
+      return literal(0x08);
+    }
+    if (!inClass) {
+      if (char === 'b' || char === 'B') {
+        return { type: 'boundary', letter: char };
+      }
+      if ('AZzG'.includes(char)) {
+        return { type: 'anchor', kind: char };
+      }
+      if (/[1-9]/.test(char)) {
+        const digits = `${char}${/^\d*/.exec(pattern.slice(position))[0]}`;
+        position += digits.length - 1;
+        return { type: 'backreference', number: Number(digits), ignoreCase: options.i };
+      }
+      if (char === 'k') {
+        const close = { '<': '>', "'": "'" }[peek()];
+        if (!close) {
+          fail('Malformed \\k<...> named back reference');
+        }
+        position += 1;
+        const name = readDelimited(close, 'Malformed \\k<...> named back reference');
+        return /^\d+$/.test(name)
+          ? { type: 'backreference', number: Number(name), ignoreCase: options.i }
+          : { type: 'backreference', name, ignoreCase: options.i };
+      }
+    }
+    if (/[A-Za-z0-9]/.test(char)) {
+      report('reduced', `unrecognized escape \\${char} is treated as a literal "${char}"`);
+    }
+    position -= 1;
+    return literal(readCodePoint());
+  };
+
+  const parseClassAtom = (options) => {
+    if (eat('\\')) {
+      return parseEscape(options, true);
+    }
+    return { type: 'char', code: readCodePoint() };
+  };
+
+  const parseClass = (options) => {
+    const node = { type: 'class', negated: eat('^'), items: [], subtract: null, ignoreCase: options.i };
+    let first = true;
+    for (;;) {
+      if (position >= pattern.length) {
+        fail('Unterminated [] set');
+      }
+      if (!first && peek() === ']') {
+        position += 1;
+        return node;
+      }
+      // .NET class subtraction: [a-z-[aeiou]]
+      if (!first && peek() === '-' && peek(1) === '[') {
+        position += 2;
+        node.subtract = parseClass(options);
+        if (!eat(']')) {
+          fail('A subtraction must be the last element in a character class');
+        }
+        return node;
+      }
+      first = false;
+      const start = parseClassAtom(options);
+      if (peek() === '-' && peek(1) !== undefined && peek(1) !== ']' && peek(1) !== '[') {
+        position += 1;
+        const end = parseClassAtom(options);
+        if (start.type !== 'char' || end.type !== 'char') {
+          fail('Cannot include a class in a character range');
+        }
+        if (end.code < start.code) {
+          fail('Range in reverse order');
+        }
+        node.items.push({ type: 'range', from: start.code, to: end.code });
+      } else {
+        node.items.push(start);
+      }
+    }
+  };
+
+  const parseGroupBody = (node, options) => {
+    node.body = parseAlternation({ ...options });
+    if (!eat(')')) {
+      fail('Not enough )\'s');
+    }
+    return node;
+  };
+
+  const namedGroup = (rawName) => {
+    if (/^\d+$/.test(rawName)) {
+      report('reduced', `explicitly numbered group (?<${rawName}>) is numbered by position instead`);
+      return { type: 'group', kind: 'capture' };
+    }
+    if (rawName.includes('-')) {
+      report('reduced', `balancing group (?<${rawName}>) is matched as a plain group`);
+      const [name] = rawName.split('-');
+      return name ? { type: 'group', kind: 'named', name } : { type: 'group', kind: 'noncapture' };
+    }
+    if (!/^[\p{L}_][\p{L}\p{N}_]*$/u.test(rawName)) {
+      fail(`Invalid group name "${rawName}"`);
+    }
+    return { type: 'group', kind: 'named', name: rawName };
+  };
+
+  const parseGroup = (options) => {
+    if (!eat('?')) {
+      return parseGroupBody({ type: 'group', kind: options.n ? 'noncapture' : 'capture' }, options);
+    }
+    if (eat('#')) {
+      readDelimited(')', 'Unterminated (?#...) comment');
+      return null;
+    }
+    const lookarounds = [[':', 'noncapture'], ['=', 'lookahead'], ['!', 'negativeLookahead'],
+      ['<=', 'lookbehind'], ['<!', 'negativeLookbehind'], ['>', 'atomic']];
+    const lookaround = lookarounds.find(([prefix]) => eat(prefix));
+    if (lookaround) {
+      return parseGroupBody({ type: 'group', kind: lookaround[1] }, options);
+    }
+    if (peek() === '<' || peek() === "'") {
+      const close = peek() === '<' ? '>' : "'";
+      position += 1;
+      const rawName = readDelimited(close, 'Unterminated group name');
+      return parseGroupBody(namedGroup(rawName), options);
+    }
+    if (eat('(')) {
+      report('reduced', 'conditional (?(...)yes|no) is matched as a plain alternation');
+      parseAlternation({ ...options });
+      if (!eat(')')) {
+        fail('Malformed (?(...)) condition');
+      }
+      const node = parseGroupBody({ type: 'group', kind: 'noncapture' }, options);
+      if (node.body.branches.length === 1) {
+        node.body.branches.push({ type: 'sequence', items: [] });
+      }
+      return node;
+    }
+    const inline = /^([imnsx]*)(?:-([imnsx]*))?([:)])/.exec(pattern.slice(position, position + 16));
+    if (!inline || (!inline[1] && inline[2] === undefined)) {
+      fail('Unrecognized grouping construct');
+    }
+    position += inline[0].length;
+    // (?i) changes the options for the rest of the enclosing group; (?i:...) only for its own body.
+    const target = inline[3] === ')' ? options : { ...options };
+    [...inline[1]].forEach((option) => {
+      target[option] = true;
+    });
+    [...(inline[2] ?? '')].forEach((option) => {
+      target[option] = false;
+    });
+    return inline[3] === ')' ? null : parseGroupBody({ type: 'group', kind: 'noncapture' }, target);
+  };
+
+  const parseAtom = (options) => {
+    const char = peek();
+    if (char === '(') {
+      position += 1;
+      return parseGroup(options);
+    }
+    if (char === '[') {
+      position += 1;
+      return parseClass(options);
+    }
+    if (char === '\\') {
+      position += 1;
+      return parseEscape(options, false);
+    }
+    position += 1;
+    if (char === '.') {
+      return { type: 'dot', singleline: options.s };
+    }
+    if (char === '^') {
+      return { type: 'anchor', kind: options.m ? 'lineStart' : 'start' };
+    }
+    if (char === '$') {
+      return { type: 'anchor', kind: options.m ? 'lineEnd' : 'end' };
+    }
+    if ('*+?'.includes(char)) {
+      fail(`Quantifier ${char} following nothing`);
+    }
+    position -= 1;
+    return { type: 'char', code: readCodePoint(), ignoreCase: options.i };
+  };
+
+  const parseQuantifier = (atom, options) => {
+    skipFreeSpacing(options);
+    let min;
+    let max;
+    const char = peek();
+    if (char === '*' || char === '+' || char === '?') {
+      position += 1;
+      min = char === '+' ? 1 : 0;
+      max = char === '?' ? 1 : Infinity;
+    } else if (char === '{') {
+      const braces = /^\{(\d+)(?:(,)(\d*))?\}/.exec(pattern.slice(position, position + 32));
+      if (!braces) {
+        return atom;
+      }
+      position += braces[0].length;
+      min = Number(braces[1]);
+      if (!braces[2]) {
+        max = min;
+      } else {
+        max = braces[3] ? Number(braces[3]) : Infinity;
+      }
+      if (max < min) {
+        fail('Illegal {x,y} with x > y');
+      }
+    } else {
+      return atom;
+    }
+    let mode = 'greedy';
+    if (eat('?')) {
+      mode = 'lazy';
+    } else if (eat('+')) {
+      mode = 'possessive';
+    }
+    // .NET rejects a{2}{3} rather than reading the second quantifier as literal text.
+    skipFreeSpacing(options);
+    if (/^\{\d+(?:,\d*)?\}/.test(pattern.slice(position, position + 32))) {
+      fail('Nested quantifier {');
+    }
+    return { type: 'quantifier', atom, min, max, mode };
+  };
+
+  const parseSequence = (options) => {
+    const items = [];
+    for (;;) {
+      skipFreeSpacing(options);
+      if (position >= pattern.length || peek() === '|' || peek() === ')') {
+        return { type: 'sequence', items };
+      }
+      const atom = parseAtom(options);
+      if (atom) {
+        items.push(parseQuantifier(atom, options));
+      }
+    }
+  };
+
+  const parseAlternation = (options) => {
+    const branches = [parseSequence(options)];
+    while (eat('|')) {
+      branches.push(parseSequence(options));
+    }
+    return { type: 'alternation', branches };
+  };
+
+  const tree = parseAlternation({ ...initialOptions });
+  if (position < pattern.length) {
+    fail('Too many )\'s');
+  }
+  return tree;
+};
+
+// .NET numbers unnamed groups first and named groups after them; JavaScript numbers every group by
+// position, and atomic groups and possessive quantifiers each need an extra helper group.
+const analyseTree = (tree, report) => {
+  let jsNumber = 0;
+  const unnamed = [];
+  const named = new Map();
+  const caseStates = new Set();
+  let unicode = false;
+
+  const visitClass = (node) => {
+    if (node.items.some(hasCaseVariants)) {
+      caseStates.add(node.ignoreCase);
+    }
+    node.items.forEach((item) => {
+      if (item.type === 'property' || item.type === 'shorthand' || (item.type === 'block' && item.negated)) {
+        unicode = true;
+      }
+      if (item.type === 'shorthand' && item.letter === 'W') {
+        report('reduced', '\\W inside a character class uses JavaScript\'s ASCII-only definition');
+      }
+      if ((item.type === 'char' && item.code > 0xffff) || (item.type === 'range' && item.to > 0xffff)) {
+        unicode = true;
+      }
+    });
+    if (node.subtract) {
+      visitClass(node.subtract);
+    }
+  };
+
+  const visit = (node) => {
+    if (node.type === 'alternation') {
+      node.branches.forEach(visit);
+    } else if (node.type === 'sequence') {
+      node.items.forEach(visit);
+    } else if (node.type === 'quantifier') {
+      if (node.mode === 'possessive') {
+        jsNumber += 1;
+        node.helperNumber = jsNumber;
+      }
+      visit(node.atom);
+    } else if (node.type === 'group') {
+      if (node.kind === 'atomic') {
+        jsNumber += 1;
+        node.helperNumber = jsNumber;
+      } else if (node.kind === 'named' && named.has(node.name)) {
+        report('reduced', `group name "${node.name}" is used more than once; back references only see the first group`);
+        node.kind = 'capture';
+        node.duplicate = true;
+      }
+      if (node.kind === 'capture' || node.kind === 'named') {
+        jsNumber += 1;
+        node.number = jsNumber;
+        if (node.kind === 'named') {
+          named.set(node.name, node);
+        } else if (!node.duplicate) {
+          unnamed.push(node);
+        }
+      }
+      visit(node.body);
+    } else if (node.type === 'class') {
+      visitClass(node);
+    } else if (node.type === 'char') {
+      if (otherCases(node.code).length) {
+        caseStates.add(node.ignoreCase);
+      }
+      if (node.code > 0xffff) {
+        unicode = true;
+      }
+    } else if (node.type === 'backreference') {
+      caseStates.add(node.ignoreCase);
+    } else if (node.type === 'property' || node.type === 'shorthand' || node.type === 'boundary') {
+      unicode = true;
+    } else if (node.type === 'anchor' && node.kind === 'G') {
+      report('reduced', '\\G (contiguous match) is ignored');
+    }
+  };
+  visit(tree);
+
+  const groupMap = [0, ...unnamed.map((node) => node.number), ...Array.from(named.values()).map((node) => node.number)];
+  return {
+    groupMap,
+    namedGroups: named,
+    // Use the i flag when every case-sensitive element is case-insensitive; otherwise expand letters locally.
+    globalIgnoreCase: !caseStates.has(false),
+    unicode
+  };
+};
+
+const ANCHORS = {
+  start: '^',
+  A: '^',
+  end: '(?=\\n?$)',
+  Z: '(?=\\n?$)',
+  z: '$',
+  lineStart: '(?<=^|\\n)',
+  lineEnd: '(?=\\n|$)',
+  G: ''
+};
+
+const GROUP_PREFIXES = {
+  capture: '(',
+  noncapture: '(?:',
+  lookahead: '(?=',
+  negativeLookahead: '(?!',
+  lookbehind: '(?<=',
+  negativeLookbehind: '(?<!'
+};
+
+const emitTree = (tree, analysis, report) => {
+  const emitRange = (from, to, negated) => {
+    if (!negated) {
+      return `${escapeCodePoint(from, true)}-${escapeCodePoint(to, true)}`;
+    }
+    const parts = [];
+    if (from > 0) {
+      parts.push(`\\0-${escapeCodePoint(from - 1, true)}`);
+    }
+    if (to < 0x10ffff) {
+      parts.push(`${escapeCodePoint(to + 1, true)}-\\u{10FFFF}`);
+    }
+    return parts.join('');
+  };
+
+  // A negated shorthand cannot be spelled out inside a class, except \D as \P{Nd}; \W and \S stay as they are
+  // (JavaScript's \S is Unicode-aware, so only \W loses fidelity).
+  const emitClassShorthand = (letter) => {
+    if (letter === 'D') {
+      return '\\P{Nd}';
+    }
+    return SHORTHAND_MEMBERS[letter] ?? `\\${letter}`;
+  };
+
+  const emitShorthand = (letter) => {
+    const members = SHORTHAND_MEMBERS[letter.toLowerCase()];
+    if (letter === 'd' || letter === 'D') {
+      return letter === 'd' ? members : '\\P{Nd}';
+    }
+    return letter === letter.toLowerCase() ? `[${members}]` : `[^${members}]`;
+  };
+
+  const emitClass = (node) => {
+    const expand = node.ignoreCase && !analysis.globalIgnoreCase;
+    const extra = [];
+    const parts = node.items.map((item) => {
+      if (item.type === 'char') {
+        if (expand) {
+          extra.push(...otherCases(item.code));
+        }
+        return escapeCodePoint(item.code, true);
+      }
+      if (item.type === 'range') {
+        if (expand) {
+          extra.push(...rangeOtherCases(item.from, item.to));
+        }
+        return `${escapeCodePoint(item.from, true)}-${escapeCodePoint(item.to, true)}`;
+      }
+      if (item.type === 'shorthand') {
+        return emitClassShorthand(item.letter);
+      }
+      if (item.type === 'property') {
+        return `\\${item.negated ? 'P' : 'p'}{${item.name}}`;
+      }
+      return emitRange(item.from, item.to, item.negated);
+    });
+    const emitted = `[${node.negated ? '^' : ''}${parts.join('')}${compressCodes(extra)}]`;
+    return node.subtract ? `(?:(?!${emitClass(node.subtract)})${emitted})` : emitted;
+  };
+
+  const emitChar = (node) => {
+    const variants = node.ignoreCase && !analysis.globalIgnoreCase ? otherCases(node.code) : [];
+    if (!variants.length) {
+      return escapeCodePoint(node.code, false);
+    }
+    return `[${escapeCodePoint(node.code, true)}${variants.map((code) => escapeCodePoint(code, true)).join('')}]`;
+  };
+
+  const emitBackreference = (node) => {
+    if (node.ignoreCase && !analysis.globalIgnoreCase) {
+      report('reduced', 'case-insensitive back reference is matched case-sensitively');
+    }
+    if (node.name !== undefined) {
+      if (!analysis.namedGroups.has(node.name)) {
+        throw createTranslationError(`Reference to undefined group name "${node.name}"`);
+      }
+      return `\\k<${node.name}>`;
+    }
+    const target = analysis.groupMap[node.number];
+    if (!target) {
+      throw createTranslationError(`Reference to undefined group number ${node.number}`);
+    }
+    return `(?:\\${target})`;
+  };
+
+  const formatQuantifier = ({ min, max }) => {
+    if (min === 0 && max === Infinity) {
+      return '*';
+    }
+    if (min === 1 && max === Infinity) {
+      return '+';
+    }
+    if (min === 0 && max === 1) {
+      return '?';
+    }
+    if (min === max) {
+      return `{${min}}`;
+    }
+    return max === Infinity ? `{${min},}` : `{${min},${max}}`;
+  };
+
+  // Atomic groups become (?=(body))\n: the lookahead captures what the body matched and the back
+  // reference consumes it, so the engine cannot backtrack into the body.
+  const emitAtomic = (body, helperNumber) => `(?:(?=(${body}))\\${helperNumber})`;
+
+  const emit = (node) => {
+    switch (node.type) {
+      case 'alternation':
+        return node.branches.map(emit).join('|');
+      case 'sequence':
+        return node.items.map(emit).join('');
+      case 'quantifier': {
+        const atom = node.atom.type === 'anchor' || node.atom.type === 'boundary'
+          ? `(?:${emit(node.atom)})`
+          : emit(node.atom);
+        const quantified = `${atom}${formatQuantifier(node)}${node.mode === 'lazy' ? '?' : ''}`;
+        return node.mode === 'possessive' ? emitAtomic(quantified, node.helperNumber) : quantified;
+      }
+      case 'group': {
+        const body = emit(node.body);
+        if (node.kind === 'atomic') {
+          return emitAtomic(body, node.helperNumber);
+        }
+        if (node.kind === 'named') {
+          return `(?<${node.name}>${body})`;
+        }
+        return `${GROUP_PREFIXES[node.kind]}${body})`;
+      }
+      case 'class':
+        return emitClass(node);
+      case 'char':
+        return emitChar(node);
+      case 'dot':
+        return node.singleline ? '[\\s\\S]' : '[^\\n]';
+      case 'anchor':
+        return ANCHORS[node.kind];
+      case 'boundary':
+        return BOUNDARIES[node.letter];
+      case 'shorthand':
+        return emitShorthand(node.letter);
+      case 'property':
+        return `\\${node.negated ? 'P' : 'p'}{${node.name}}`;
+      case 'block':
+        return node.negated
+          ? `[^${emitRange(node.from, node.to, false)}]`
+          : `[${emitRange(node.from, node.to, false)}]`;
+      case 'backreference':
+        return emitBackreference(node);
+      default:
+        return '';
+    }
+  };
+
+  return emit(tree);
+};
+
+const translate = (pattern, ignoreCase) => {
+  const issues = [];
+  let fidelity = 'exact';
+  const report = (level, message) => {
+    if (!issues.includes(message)) {
+      issues.push(message);
+    }
+    if (level === 'reduced' && fidelity === 'exact') {
+      fidelity = 'reduced';
+    }
+  };
+  try {
+    const tree = parseDotNetPattern(pattern, { i: ignoreCase, m: false, s: false, n: false, x: false }, report);
+    const analysis = analyseTree(tree, report);
+    const source = emitTree(tree, analysis, report);
+    const flags = `${analysis.globalIgnoreCase ? 'i' : ''}${analysis.unicode ? 'u' : ''}`;
+    // Compile once here so a translation bug is reported instead of silently matching nothing.
+    new RegExp(source, `${flags}gd`);
+    return { source, flags, groupMap: analysis.groupMap, fidelity, issues };
+  } catch (error) {
+    return {
+      source: null,
+      flags: '',
+      groupMap: [0],
+      fidelity: 'unsupported',
+      issues: [...issues, error.message]
+    };
+  }
+};
+
+const translationCache = new Map();
+
+export const translateDotNetRegex = (pattern, { ignoreCase = false } = {}) => {
+  const key = `${ignoreCase ? 'i' : ''}:${pattern}`;
+  if (!translationCache.has(key)) {
+    translationCache.set(key, translate(pattern ?? '', ignoreCase));
+  }
+  return translationCache.get(key);
+};
+
+// Rule pack regexes keep the case-insensitive default the evaluator has always applied; (?-i) turns it off.
+export const translateRulePackRegex = (pattern) => translateDotNetRegex(pattern, { ignoreCase: true });
@@ -0,0 +1,266 @@
+import { codepageLabel } from './msgParser.js';
+
+// RTF (Rich Text Format) to plain text. RTF is 7-bit markup: 8-bit text, raw or escaped as \'hh, is in the codepage
+// of the current font (its \fcharset or \cpg) or the document's \ansicpg, and \uN gives a Unicode character
+// followed by \ucN fallback characters to skip. Binary data (\bin), pictures, embedded objects, field instructions
+// and the font, colour and style tables are skipped.
+
+// Codepages of the \fcharset values; 0 (ANSI) and 1 (default) use the document's codepage.
+const CHARSET_CODEPAGES = {
+  77: 10000,
+  128: 932,
+  129: 949,
+  134: 936,
+  136: 950,
+  161: 1253,
+  162: 1254,
+  163: 1258,
+  177: 1255,
+  178: 1256,
+  186: 1257,
+  204: 1251,
+  222: 874,
+  238: 1250
+};
+
+// Groups whose text is not part of the document. Unknown groups marked \* are skipped as well.
+const IGNORED_DESTINATIONS = new Set([
+  'fonttbl',
+  'colortbl',
+  'stylesheet',
+  'info',
+  'pict',
+  'objdata',
+  'fldinst',
+  'listtable',
+  'listoverridetable',
+  'revtbl',
+  'rsidtbl',
+  'filetbl',
+  'themedata',
+  'colorschememapping',
+  'datastore',
+  'latentstyles',
+  'xmlnstbl',
+  'pntxta',
+  'pntxtb'
+]);
+
+const CONTROL_TEXT = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  cell: '\t',
+  nestcell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' ',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+const CONTROL_SYMBOLS = { '\\': '\\', '{': '{', '}': '}', '~': ' ', _: '‑', '-': '', '\n': '\n', '\r': '\n' };
+
+const MAC_CODEPAGE = 10000;
+// Bytes that end a run of plain text: group braces, control words and source line breaks.
+const PLAIN_TEXT_STOPS = new Set([0x7b, 0x7d, 0x5c, 0x0a, 0x0d]);
+// Runs are converted with String.fromCharCode, whose argument count is limited.
+const MAX_TEXT_RUN = 8192;
+
+const decodeCodepage = (bytes, codepage) => {
+  const label = codepage === MAC_CODEPAGE ? 'macintosh' : codepageLabel(codepage);
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+};
+
+const toBytes = (input) => {
+  if (typeof input !== 'string') {
+    return input instanceof Uint8Array ? input : new Uint8Array(input ?? 0);
+  }
+  return Uint8Array.from(input, (char) => char.charCodeAt(0) & 0xff);
+};
+
+const isLetter = (byte) => (byte >= 0x61 && byte <= 0x7a) || (byte >= 0x41 && byte <= 0x5a);
+const isDigit = (byte) => byte >= 0x30 && byte <= 0x39;
+
+// Accepts the RTF as bytes, or as a string with one character per byte.
+export const convertRtfToText = (input) => {
+  const bytes = toBytes(input);
+  const fonts = new Map();
+  const stack = [];
+  const output = [];
+  let pendingBytes = [];
+  let documentCodepage = 1252;
+  // Group state: whether its text is skipped, the codepage of its font, the \uc count and the font being defined.
+  let state = { skip: false, codepage: null, unicodeSkip: 1, destination: '', fontNumber: null };
+  let groupStart = false;
+  let fallbackToSkip = 0;
+
+  const flushBytes = () => {
+    if (pendingBytes.length) {
+      output.push(decodeCodepage(Uint8Array.from(pendingBytes), state.codepage ?? documentCodepage));
+      pendingBytes = [];
+    }
+  };
+  const appendText = (text) => {
+    flushBytes();
+    if (!state.skip) {
+      output.push(text);
+    }
+  };
+  // \uN and the fallback characters after it: a \'hh escape or a plain character each count as one.
+  const consumeFallback = () => {
+    if (fallbackToSkip > 0) {
+      fallbackToSkip -= 1;
+      return true;
+    }
+    return false;
+  };
+
+  const applyControlWord = (word, parameter) => {
+    const isDestination = groupStart;
+    groupStart = false;
+    if (isDestination && (IGNORED_DESTINATIONS.has(word) || state.destination === '*')) {
+      flushBytes();
+      state.skip = true;
+      state.destination = word;
+      return;
+    }
+    if (word === 'ansicpg' && parameter !== null) {
+      documentCodepage = parameter;
+    } else if (word === 'mac') {
+      documentCodepage = MAC_CODEPAGE;
+    } else if (word === 'f' && parameter !== null) {
+      if (state.destination === 'fonttbl') {
+        state.fontNumber = parameter;
+      } else {
+        flushBytes();
+        state.codepage = fonts.get(parameter) ?? null;
+      }
+    } else if (word === 'fcharset' && state.destination === 'fonttbl' && state.fontNumber !== null) {
+      fonts.set(state.fontNumber, CHARSET_CODEPAGES[parameter] ?? null);
+    } else if (word === 'cpg' && state.destination === 'fonttbl' && state.fontNumber !== null) {
+      fonts.set(state.fontNumber, parameter);
+    } else if (word === 'uc' && parameter !== null) {
+      state.unicodeSkip = parameter;
+    } else if (word === 'u' && parameter !== null) {
+      appendText(String.fromCharCode(parameter < 0 ? parameter + 0x10000 : parameter));
+      fallbackToSkip = state.unicodeSkip;
+    } else if (CONTROL_TEXT[word] !== undefined) {
+      appendText(CONTROL_TEXT[word]);
+    }
+  };
+
+  let position = 0;
+  while (position < bytes.length) {
+    const byte = bytes[position];
+    if (byte === 0x7b) {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      groupStart = true;
+      fallbackToSkip = 0;
+      position += 1;
+      continue;
+    }
+    if (byte === 0x7d) {
+      flushBytes();
+      state = stack.pop() ?? state;
+      groupStart = false;
+      fallbackToSkip = 0;
+      position += 1;
+      continue;
+    }
+    if (byte !== 0x5c) {
+      position += 1;
+      // Line breaks in the source are formatting; only \par and friends end a line.
+      if (byte === 0x0a || byte === 0x0d || consumeFallback()) {
+        continue;
+      }
+      groupStart = false;
+      if (state.skip) {
+        continue;
+      }
+      if (byte >= 0x80) {
+        pendingBytes.push(byte);
+        continue;
+      }
+      const limit = Math.min(bytes.length, position + MAX_TEXT_RUN);
+      let end = position;
+      while (end < limit && bytes[end] < 0x80 && !PLAIN_TEXT_STOPS.has(bytes[end])) {
+        end += 1;
+      }
+      appendText(String.fromCharCode(byte, ...bytes.subarray(position, end)));
+      position = end;
+      continue;
+    }
+    const next = bytes[position + 1];
+    if (next === 0x27) {
+      const value = Number.parseInt(String.fromCharCode(bytes[position + 2], bytes[position + 3]), 16);
+      position += 4;
+      groupStart = false;
+      if (!consumeFallback() && !state.skip && Number.isFinite(value)) {
+        pendingBytes.push(value);
+      }
+      continue;
+    }
+    if (next === 0x2a) {
+      // \* marks an optional destination, which readers that do not know it skip.
+      state.destination = '*';
+      position += 2;
+      continue;
+    }
+    if (next === undefined || !isLetter(next)) {
+      const symbol = CONTROL_SYMBOLS[String.fromCharCode(next)];
+      position += 2;
+      groupStart = false;
+      if (symbol !== undefined && !consumeFallback()) {
+        appendText(symbol);
+      }
+      continue;
+    }
+    let end = position + 1;
+    while (end < bytes.length && isLetter(bytes[end])) {
+      end += 1;
+    }
+    const word = String.fromCharCode(...bytes.subarray(position + 1, end));
+    let parameterEnd = end + (bytes[end] === 0x2d ? 1 : 0);
+    while (parameterEnd < bytes.length && isDigit(bytes[parameterEnd])) {
+      parameterEnd += 1;
+    }
+    const hasParameter = parameterEnd > end + (bytes[end] === 0x2d ? 1 : 0);
+    const parameter = hasParameter ? Number(String.fromCharCode(...bytes.subarray(end, parameterEnd))) : null;
+    position = hasParameter ? parameterEnd : end;
+    if (bytes[position] === 0x20) {
+      position += 1;
+    }
+    if (word === 'bin') {
+      // Raw binary data of the given length; it may contain braces and backslashes.
+      position += Math.max(0, parameter ?? 0);
+      groupStart = false;
+      continue;
+    }
+    if (consumeFallback()) {
+      continue;
+    }
+    applyControlWord(word, parameter);
+  }
+  flushBytes();
+  return output.join('')
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
@@ -0,0 +1,660 @@
+import {
+  SUPPORTED_FILTER_DIRECTIONS,
+  SUPPORTED_FILTER_TYPES,
+  SUPPORTED_VALIDATOR_TYPES
+} from './matchFilters.js';
+import { hasPurviewFunction } from './purviewFunctions.js';
+import { translateRulePackRegex } from './regexTranslator.js';
+
+const XML_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+const FUNCTION_PREFIX = 'Func_';
+
+const createRulePackError = ({ message, line = null, column = null, element = '' }) => {
+  const location = [
+    line ? `Line ${line}${column ? `, column ${column}` : ''}` : '',
+    element ? `<${element}>` : ''
+  ].filter(Boolean).join(' ');
+  const err = new Error(location ? `${location}: ${message}` : message);
+  err.name = 'RulePackParseError';
+  err.line = line;
+  err.column = column;
+  err.element = element;
+  err.detail = message;
+  return err;
+};
+
+const decodeRulePackBuffer = (input) => {
+  if (typeof input === 'string') {
+    return input.replace(/^\uFEFF/, '');
+  }
+  const bytes = input instanceof ArrayBuffer
+    ? new Uint8Array(input)
+    : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  }
+  // Exported rule packs are usually UTF-16 without a BOM, so sniff the first "<".
+  if (bytes[0] === 0x3c && bytes[1] === 0x00) {
+    return new TextDecoder('utf-16le').decode(bytes);
+  }
+  if (bytes[0] === 0x00 && bytes[1] === 0x3c) {
+    return new TextDecoder('utf-16be').decode(bytes);
+  }
+  return new TextDecoder('utf-8').decode(bytes);
+};
+
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const codePoint = entity[1] === 'x' || entity[1] === 'X'
+      ? Number.parseInt(entity.slice(2), 16)
+      : Number.parseInt(entity.slice(1), 10);
+    return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+  }
+  return XML_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const localName = (name) => {
+  const separator = name.indexOf(':');
+  return separator >= 0 ? name.slice(separator + 1) : name;
+};
+
+const parseXmlDocument = (xml) => {
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+  let scanned = 0;
+  const root = { name: '#document', attributes: {}, children: [], text: '', line: 1, column: 1 };
+  const stack = [root];
+
+  const advanceTo = (position) => {
+    for (let i = scanned; i < position; i += 1) {
+      if (xml.charCodeAt(i) === 10) {
+        line += 1;
+        lineStart = i + 1;
+      }
+    }
+    scanned = Math.max(scanned, position);
+  };
+
+  const locate = (position) => {
+    advanceTo(position);
+    return { line, column: position - lineStart + 1 };
+  };
+
+  const fail = (message, position, element = '') => {
+    const { line: errorLine, column } = locate(position);
+    throw createRulePackError({ message, line: errorLine, column, element });
+  };
+
+  const skipUntil = (terminator, start, description) => {
+    const end = xml.indexOf(terminator, start);
+    if (end < 0) {
+      fail(`Unterminated ${description}.`, start);
+    }
+    return end + terminator.length;
+  };
+
+  while (index < xml.length) {
+    const tagStart = xml.indexOf('<', index);
+    const textEnd = tagStart < 0 ? xml.length : tagStart;
+    if (textEnd > index) {
+      const rawText = xml.slice(index, textEnd);
+      const current = stack[stack.length - 1];
+      if (current === root) {
+        if (rawText.trim()) {
+          fail('Text content is not allowed outside the root element.', index);
+        }
+      } else {
+        current.text += decodeEntities(rawText);
+      }
+    }
+    if (tagStart < 0) {
+      break;
+    }
+
+    if (xml.startsWith('<!--', tagStart)) {
+      index = skipUntil('-->', tagStart + 4, 'comment');
+      continue;
+    }
+    if (xml.startsWith('<![CDATA[', tagStart)) {
+      const end = skipUntil(']]>', tagStart + 9, 'CDATA section');
+      const current = stack[stack.length - 1];
+      if (current !== root) {
+        current.text += xml.slice(tagStart + 9, end - 3);
+      }
+      index = end;
+      continue;
+    }
+    if (xml.startsWith('<?', tagStart)) {
+      index = skipUntil('?>', tagStart + 2, 'processing instruction');
+      continue;
+    }
+    if (xml.startsWith('<!', tagStart)) {
+      index = skipUntil('>', tagStart + 2, 'declaration');
+      continue;
+    }
+
+    if (xml[tagStart + 1] === '/') {
+      const end = xml.indexOf('>', tagStart);
+      if (end < 0) {
+        fail('Unterminated closing tag.', tagStart);
+      }
+      const name = localName(xml.slice(tagStart + 2, end).trim());
+      const current = stack[stack.length - 1];
+      if (current === root || current.name !== name) {
+        const expected = current === root ? 'no open element' : `</${current.name}> (opened on line ${current.line})`;
+        fail(`Unexpected closing tag; expected ${expected}.`, tagStart, name);
+      }
+      stack.pop();
+      index = end + 1;
+      continue;
+    }
+
+    const tagPattern = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    tagPattern.lastIndex = tagStart;
+    const tagMatch = tagPattern.exec(xml);
+    if (!tagMatch) {
+      const nameMatch = /<([A-Za-z_][\w.:-]*)/y;
+      nameMatch.lastIndex = tagStart;
+      const partial = nameMatch.exec(xml);
+      fail('Malformed start tag or attribute list.', tagStart, partial ? localName(partial[1]) : '');
+    }
+
+    const [fullTag, rawName, rawAttributes, selfClosing] = tagMatch;
+    const attributes = {};
+    const attributePattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attributeMatch = attributePattern.exec(rawAttributes);
+    while (attributeMatch) {
+      const attributeName = attributeMatch[1];
+      if (!attributeName.startsWith('xmlns')) {
+        attributes[localName(attributeName)] = decodeEntities(attributeMatch[2] ?? attributeMatch[3] ?? '');
+      }
+      attributeMatch = attributePattern.exec(rawAttributes);
+    }
+
+    const position = locate(tagStart);
+    const element = {
+      name: localName(rawName),
+      attributes,
+      children: [],
+      text: '',
+      line: position.line,
+      column: position.column
+    };
+    const parent = stack[stack.length - 1];
+    if (parent === root && root.children.length > 0) {
+      fail('Only one root element is allowed.', tagStart, element.name);
+    }
+    parent.children.push(element);
+    if (!selfClosing) {
+      stack.push(element);
+    }
+    index = tagStart + fullTag.length;
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw createRulePackError({
+      message: 'Element is never closed.',
+      line: unclosed.line,
+      column: unclosed.column,
+      element: unclosed.name
+    });
+  }
+  if (!root.children.length) {
+    throw createRulePackError({ message: 'Document does not contain an XML root element.' });
+  }
+  return root.children[0];
+};
+
+const childElements = (element, name) => element.children.filter((child) => !name || child.name === name);
+
+const firstChild = (element, name) => element.children.find((child) => child.name === name) ?? null;
+
+const collectElements = (element, names, results = []) => {
+  element.children.forEach((child) => {
+    if (names.has(child.name)) {
+      results.push(child);
+    } else {
+      collectElements(child, names, results);
+    }
+  });
+  return results;
+};
+
+const parseInteger = (value, fallback = null) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const parseProximity = (value, fallback = null) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (String(value).toLowerCase() === 'unlimited') {
+    return Infinity;
+  }
+  return parseInteger(value, fallback);
+};
+
+const parseBoolean = (value) => String(value ?? '').toLowerCase() === 'true';
+
+const parseKeyword = (element, addIssue) => {
+  const groups = childElements(element, 'Group').map((group) => {
+    const matchStyle = (group.attributes.matchStyle ?? 'word').toLowerCase();
+    if (matchStyle !== 'word' && matchStyle !== 'string') {
+      addIssue(group, `Group matchStyle "${group.attributes.matchStyle}" is not supported; terms are matched as whole words.`);
+    }
+    const terms = childElements(group, 'Term')
+      .map((term) => ({
+        text: term.text.trim(),
+        caseSensitive: parseBoolean(term.attributes.caseSensitive)
+      }))
+      .filter((term) => term.text);
+    return { matchStyle, terms };
+  });
+  if (!groups.some((group) => group.terms.length)) {
+    addIssue(element, `Keyword "${element.attributes.id}" has no terms.`);
+  }
+  return {
+    type: 'keyword',
+    id: element.attributes.id,
+    groups
+  };
+};
+
+const parseRegex = (element, addIssue) => {
+  const pattern = element.text.trim();
+  if (!pattern) {
+    addIssue(element, `Regex "${element.attributes.id}" is empty.`);
+  } else {
+    const translation = translateRulePackRegex(pattern);
+    if (translation.fidelity === 'unsupported') {
+      addIssue(element, `Regex "${element.attributes.id}" cannot be translated to JavaScript and will not match: ${translation.issues.join('; ')}.`);
+    } else if (translation.fidelity === 'reduced') {
+      addIssue(element, `Regex "${element.attributes.id}" is evaluated with reduced fidelity: ${translation.issues.join('; ')}.`);
+    }
+  }
+  const { id, ...attributes } = element.attributes;
+  return {
+    type: 'regex',
+    id,
+    pattern,
+    attributes
+  };
+};
+
+const parseFilters = (element, addIssue) => {
+  const filters = childElements(element, 'Filter').map((filter) => {
+    const type = filter.attributes.type ?? '';
+    const direction = filter.attributes.direction ?? '';
+    if (!SUPPORTED_FILTER_TYPES.has(type.toLowerCase())) {
+      addIssue(filter, `Filter type "${type}" is not supported client-side and will be ignored.`);
+    } else if (type.toLowerCase() === 'textmatchfilter' && !SUPPORTED_FILTER_DIRECTIONS.has(direction.toLowerCase())) {
+      addIssue(filter, `TextMatchFilter direction "${direction}" is not supported client-side and will be ignored.`);
+    }
+    return {
+      type,
+      direction,
+      logic: filter.attributes.logic ?? 'Exclude',
+      textProcessorId: filter.attributes.textProcessorId ?? '',
+      line: filter.line
+    };
+  });
+  if (!filters.length) {
+    addIssue(element, `Filters "${element.attributes.id}" has no Filter elements.`);
+  }
+  return {
+    id: element.attributes.id,
+    filters,
+    line: element.line
+  };
+};
+
+const parseValidators = (element, addIssue) => {
+  const validators = childElements(element, 'Validator').map((validator) => {
+    const type = validator.attributes.type ?? '';
+    if (!SUPPORTED_VALIDATOR_TYPES.has(type.toLowerCase())) {
+      addIssue(validator, `Validator type "${type}" is not supported client-side and will be ignored.`);
+    }
+    const params = {};
+    childElements(validator, 'Param').forEach((param) => {
+      if (param.attributes.name) {
+        params[param.attributes.name] = param.text.trim();
+      }
+    });
+    return { type, params };
+  });
+  if (!validators.length) {
+    addIssue(element, `Validators "${element.attributes.id}" has no Validator elements.`);
+  }
+  return {
+    id: element.attributes.id,
+    validators
+  };
+};
+
+const pickLocalizedText = (elements, langcode) => {
+  if (!elements.length) {
+    return '';
+  }
+  const preferred = elements.find((element) => parseBoolean(element.attributes.default))
+    ?? elements.find((element) => element.attributes.langcode?.toLowerCase() === langcode)
+    ?? elements.find((element) => element.attributes.langcode?.toLowerCase().startsWith('en'))
+    ?? elements[0];
+  return preferred.text.trim();
+};
+
+const parseLocalizedStrings = (rulesElement, langcode) => {
+  const strings = new Map();
+  childElements(rulesElement, 'LocalizedStrings').forEach((container) => {
+    childElements(container, 'Resource').forEach((resource) => {
+      const id = resource.attributes.idRef;
+      if (!id) {
+        return;
+      }
+      strings.set(id, {
+        name: pickLocalizedText(childElements(resource, 'Name'), langcode),
+        description: pickLocalizedText(childElements(resource, 'Description'), langcode)
+      });
+    });
+  });
+  return strings;
+};
+
+const parseRulePackDetails = (rootElement) => {
+  const rulePack = firstChild(rootElement, 'RulePack');
+  if (!rulePack) {
+    return null;
+  }
+  const version = firstChild(rulePack, 'Version');
+  const details = firstChild(rulePack, 'Details');
+  const defaultLang = details?.attributes.defaultLangCode?.toLowerCase() ?? '';
+  const localized = details ? childElements(details, 'LocalizedDetails') : [];
+  const selected = localized.find((entry) => entry.attributes.langcode?.toLowerCase() === defaultLang) ?? localized[0];
+  return {
+    id: rulePack.attributes.id ?? '',
+    version: version
+      ? ['major', 'minor', 'build', 'revision'].map((key) => version.attributes[key] ?? '0').join('.')
+      : '',
+    publisherId: firstChild(rulePack, 'Publisher')?.attributes.id ?? '',
+    publisherName: selected ? firstChild(selected, 'PublisherName')?.text.trim() ?? '' : '',
+    name: selected ? firstChild(selected, 'Name')?.text.trim() ?? '' : '',
+    description: selected ? firstChild(selected, 'Description')?.text.trim() ?? '' : '',
+    defaultLangCode: defaultLang
+  };
+};
+
+export const parseRulePackXml = (input) => {
+  if (!input) {
+    throw createRulePackError({ message: 'Rule pack file is empty.' });
+  }
+  const xml = decodeRulePackBuffer(input);
+  const rootElement = parseXmlDocument(xml);
+  if (rootElement.name !== 'RulePackage') {
+    throw createRulePackError({
+      message: 'Root element must be <RulePackage>.',
+      line: rootElement.line,
+      column: rootElement.column,
+      element: rootElement.name
+    });
+  }
+  const rulesElement = firstChild(rootElement, 'Rules');
+  if (!rulesElement) {
+    throw createRulePackError({
+      message: 'Rule package does not contain a <Rules> element.',
+      line: rootElement.line,
+      column: rootElement.column,
+      element: rootElement.name
+    });
+  }
+
+  const issues = [];
+  const addIssue = (element, message, severity = 'warning') => {
+    issues.push({
+      severity,
+      line: element?.line ?? null,
+      column: element?.column ?? null,
+      element: element?.name ?? '',
+      message
+    });
+  };
+
+  const rulePack = parseRulePackDetails(rootElement);
+  const definitions = new Map();
+  const filterSets = new Map();
+  const registerDefinition = (element, definition) => {
+    const { id } = element.attributes;
+    if (!id) {
+      addIssue(element, `<${element.name}> is missing an id attribute and was ignored.`);
+      return;
+    }
+    if (definitions.has(id)) {
+      addIssue(element, `Duplicate definition "${id}"; the later definition wins.`);
+    }
+    definitions.set(id, definition);
+  };
+
+  const validatorSets = new Map();
+  const regexElements = new Map();
+  const processors = collectElements(rulesElement, new Set(['Regex', 'Keyword', 'Filters', 'Validators']));
+  processors.forEach((element) => {
+    if (element.name === 'Regex') {
+      registerDefinition(element, parseRegex(element, addIssue));
+      regexElements.set(element.attributes.id, element);
+    } else if (element.name === 'Keyword') {
+      registerDefinition(element, parseKeyword(element, addIssue));
+    } else if (!element.attributes.id) {
+      addIssue(element, `<${element.name}> is missing an id attribute and was ignored.`);
+    } else if (element.name === 'Filters') {
+      filterSets.set(element.attributes.id, parseFilters(element, addIssue));
+    } else {
+      validatorSets.set(element.attributes.id, parseValidators(element, addIssue));
+    }
+  });
+
+  // The validators attribute of a <Regex>, or of a Match/IdMatch that references a Purview function.
+  const resolveValidators = (element) => (element.attributes.validators ?? '')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map((validatorId) => {
+      const validatorSet = validatorSets.get(validatorId);
+      if (!validatorSet) {
+        addIssue(element, `Validators "${validatorId}" is not defined in this rule pack.`);
+      }
+      return validatorSet;
+    })
+    .filter(Boolean);
+
+  regexElements.forEach((element, id) => {
+    const definition = definitions.get(id);
+    const validators = resolveValidators(element);
+    if (definition && validators.length) {
+      definition.validators = validators;
+    }
+  });
+
+  filterSets.forEach((filterSet) => {
+    filterSet.filters.forEach((filter) => {
+      if (filter.textProcessorId && !definitions.has(filter.textProcessorId)) {
+        addIssue(
+          { name: 'Filter', line: filter.line, column: null },
+          `textProcessorId "${filter.textProcessorId}" is not defined in this rule pack.`
+        );
+      }
+    });
+  });
+
+  const ruleElements = collectElements(rulesElement, new Set(['Entity', 'Affinity']));
+  const ruleIds = new Set(ruleElements.map((element) => element.attributes.id).filter(Boolean));
+  const unknownFunctions = new Map();
+
+  const resolveReference = (element) => {
+    const ref = element.attributes.idRef;
+    const minMatches = parseInteger(element.attributes.minCount, 1);
+    const proximity = parseProximity(element.attributes.proximity);
+    const base = {
+      ref,
+      minMatches,
+      uniqueResults: parseBoolean(element.attributes.uniqueResults),
+      ...(proximity !== null ? { proximity } : {}),
+      line: element.line
+    };
+    if (!ref) {
+      addIssue(element, `<${element.name}> is missing an idRef attribute.`);
+      return { ...base, type: 'unresolved' };
+    }
+    const definition = definitions.get(ref);
+    if (definition) {
+      return { ...definition, ...base };
+    }
+    if (ref.startsWith(FUNCTION_PREFIX)) {
+      if (!hasPurviewFunction(ref)) {
+        if (!unknownFunctions.has(ref)) {
+          unknownFunctions.set(ref, element);
+        }
+        return { ...base, type: 'function', name: ref, unknown: true };
+      }
+      const validators = resolveValidators(element);
+      return { ...base, type: 'function', name: ref, ...(validators.length ? { validators } : {}) };
+    }
+    const reason = ruleIds.has(ref)
+      ? 'references another SIT, which is not evaluated as supporting evidence'
+      : 'references an element that is not defined in this rule pack';
+    addIssue(element, `idRef "${ref}" ${reason}.`);
+    return { ...base, type: 'unresolved' };
+  };
+
+  const parseEvidenceNode = (element) => {
+    if (element.name === 'Match' || element.name === 'IdMatch') {
+      return resolveReference(element);
+    }
+    if (element.name === 'Any') {
+      return {
+        type: 'any',
+        minMatches: parseInteger(element.attributes.minMatches, 1),
+        maxMatches: parseInteger(element.attributes.maxMatches),
+        children: childElements(element).map(parseEvidenceNode).filter(Boolean),
+        line: element.line
+      };
+    }
+    addIssue(element, `Unsupported element <${element.name}> was ignored.`);
+    return null;
+  };
+
+  const resolveFilters = (element) => {
+    const ids = (element.attributes.filters ?? '').split(/[\s,;]+/).filter(Boolean);
+    return ids.map((id) => {
+      const filterSet = filterSets.get(id);
+      if (!filterSet) {
+        addIssue(element, `Filters "${id}" is not defined in this rule pack.`);
+        return null;
+      }
+      return {
+        id,
+        filters: filterSet.filters.map((filter) => ({
+          ...filter,
+          textProcessor: filter.textProcessorId ? definitions.get(filter.textProcessorId) ?? null : null
+        }))
+      };
+    }).filter(Boolean);
+  };
+
+  const parsePattern = (element, index, defaults) => {
+    const idMatches = childElements(element, 'IdMatch');
+    if (defaults.kind === 'entity' && idMatches.length !== 1) {
+      addIssue(element, `Pattern ${index + 1} must contain exactly one <IdMatch> (found ${idMatches.length}).`);
+    }
+    const nodes = childElements(element)
+      .map((child) => {
+        const node = parseEvidenceNode(child);
+        if (node && child.name === 'IdMatch') {
+          return { ...node, role: 'primary' };
+        }
+        return node;
+      })
+      .filter(Boolean);
+    return {
+      id: `pattern-${index + 1}`,
+      confidence: parseInteger(element.attributes.confidenceLevel, defaults.confidence),
+      proximity: parseProximity(element.attributes.proximity, defaults.proximity),
+      filters: [...defaults.filters, ...resolveFilters(element)],
+      nodes,
+      line: element.line
+    };
+  };
+
+  const localizedStrings = parseLocalizedStrings(rulesElement, rulePack?.defaultLangCode ?? '');
+  const sitCatalog = ruleElements.map((element) => {
+    const { id } = element.attributes;
+    if (!id) {
+      addIssue(element, `<${element.name}> is missing an id attribute and was ignored.`);
+      return null;
+    }
+    const kind = element.name === 'Affinity' ? 'affinity' : 'entity';
+    const strings = localizedStrings.get(id);
+    if (!strings?.name) {
+      addIssue(element, `${element.name} "${id}" has no localized name.`);
+    }
+    const proximity = kind === 'affinity'
+      ? parseProximity(element.attributes.evidencesProximity, 300)
+      : parseProximity(element.attributes.patternsProximity, 300);
+    const recommendedConfidence = parseInteger(
+      kind === 'affinity' ? element.attributes.thresholdConfidenceLevel : element.attributes.recommendedConfidence,
+      null
+    );
+    const entityFilters = resolveFilters(element);
+    const patternElements = childElements(element, kind === 'affinity' ? 'Evidence' : 'Pattern');
+    if (!patternElements.length) {
+      addIssue(element, `${element.name} "${id}" has no ${kind === 'affinity' ? 'Evidence' : 'Pattern'} elements.`);
+    }
+    return {
+      id,
+      name: strings?.name || id,
+      description: strings?.description ?? '',
+      kind,
+      recommendedConfidence,
+      patternsProximity: proximity,
+      relaxProximity: parseBoolean(element.attributes.relaxProximity),
+      patterns: patternElements.map((pattern, index) => parsePattern(pattern, index, {
+        kind,
+        proximity,
+        confidence: recommendedConfidence ?? 50,
+        filters: entityFilters
+      })),
+      line: element.line
+    };
+  }).filter(Boolean);
+
+  unknownFunctions.forEach((element, name) => {
+    addIssue(element, `Purview function "${name}" is not in the client-side function library; patterns that need it will not match.`);
+  });
+
+  const warnings = issues.map((issue) => (
+    issue.line ? `Line ${issue.line}, column ${issue.column} <${issue.element}>: ${issue.message}` : issue.message
+  ));
+
+  return {
+    rulePack,
+    sitCatalog,
+    issues,
+    warnings: Array.from(new Set(warnings))
+  };
+};
@@ -13,7 +13,11 @@ const DEFAULT_RUNTIME_CONFIG = {
   mailReadScope: 'Mail.Read',
   filesReadScope: 'Files.Read',
   sitesReadScope: 'Sites.Read.All',
-  labelsReadScope: 'InformationProtectionPolicy.Read'
+  labelsReadScope: 'InformationProtectionPolicy.Read',
+  ocrLanguages: ['eng'],
+  ocrLangPath: '',
+  ocrWorkerPath: '',
+  ocrCorePath: ''
 };
 
 const sanitizeHost = (value) => {
@@ -76,6 +80,13 @@ const normalizeLoginScopes = (value) => {
   return scopes.length ? scopes : DEFAULT_RUNTIME_CONFIG.loginScopes;
 };
 
+// Tesseract language codes, given as a list or as `eng+jpn`, `eng,jpn` or `eng jpn`.
+const normalizeOcrLanguages = (value) => {
+  const languages = normalizeStringList(typeof value === 'string' ? value.replace(/\+/g, ',') : value)
+    .filter((language) => /^[A-Za-z_]+$/.test(language));
+  return languages.length ? languages : DEFAULT_RUNTIME_CONFIG.ocrLanguages;
+};
+
 const parseJsonSafely = (value) => {
   if (!value) {
     return null;
@@ -106,7 +117,11 @@ const normalizeRuntimeConfig = (config) => {
     mailReadScope: (config.mailReadScope ?? DEFAULT_RUNTIME_CONFIG.mailReadScope).trim(),
     filesReadScope: (config.filesReadScope ?? DEFAULT_RUNTIME_CONFIG.filesReadScope).trim(),
     sitesReadScope: (config.sitesReadScope ?? DEFAULT_RUNTIME_CONFIG.sitesReadScope).trim(),
-    labelsReadScope: (config.labelsReadScope ?? DEFAULT_RUNTIME_CONFIG.labelsReadScope).trim()
+    labelsReadScope: (config.labelsReadScope ?? DEFAULT_RUNTIME_CONFIG.labelsReadScope).trim(),
+    ocrLanguages: normalizeOcrLanguages(config.ocrLanguages),
+    ocrLangPath: sanitizeBaseUrl(config.ocrLangPath ?? DEFAULT_RUNTIME_CONFIG.ocrLangPath),
+    ocrWorkerPath: sanitizeUrl(config.ocrWorkerPath),
+    ocrCorePath: sanitizeBaseUrl(config.ocrCorePath)
   };
 };
 
@@ -160,6 +175,10 @@ const parseQueryConfig = () => {
   assign('filesReadScope', params.get('filesReadScope'));
   assign('sitesReadScope', params.get('sitesReadScope'));
   assign('labelsReadScope', params.get('labelsReadScope'));
+  assign('ocrLanguages', params.get('ocrLanguages'));
+  assign('ocrLangPath', params.get('ocrLangPath'));
+  assign('ocrWorkerPath', params.get('ocrWorkerPath'));
+  assign('ocrCorePath', params.get('ocrCorePath'));
 
   return queryConfig;
 };
@@ -220,6 +239,12 @@ const buildConfigQueryString = (config) => {
   assign('filesReadScope', config.filesReadScope);
   assign('sitesReadScope', config.sitesReadScope);
   assign('labelsReadScope', config.labelsReadScope);
+  if (config.ocrLanguages?.length) {
+    params.set('ocrLanguages', config.ocrLanguages.join(','));
+  }
+  assign('ocrLangPath', config.ocrLangPath);
+  assign('ocrWorkerPath', config.ocrWorkerPath);
+  assign('ocrCorePath', config.ocrCorePath);
 
   const queryString = params.toString();
   return queryString ? `?${queryString}` : '';
@@ -0,0 +1,91 @@
+// Sensitivity labels already applied to a document. Microsoft Information Protection stamps each label as a set of
+// MSIP_Label_<guid>_<field> properties: custom document properties in Office files, document information and XMP
+// entries in PDFs, and the msip_labels header in mail.
+
+const LABEL_PROPERTY = /^(?:[\w-]+:)?MSIP_Label_\{?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\}?_(\w+)$/i;
+
+const LABEL_FIELDS = {
+  enabled: 'enabled',
+  name: 'name',
+  method: 'method',
+  setdate: 'setDate',
+  siteid: 'siteId',
+  actionid: 'actionId',
+  contentbits: 'contentBits'
+};
+
+const normalizeId = (id) => String(id ?? '').replace(/[{}]/g, '').toLowerCase();
+
+// Returns [{ id, name, method, setDate, siteId, actionId, contentBits }] for the enabled labels among [name, value]
+// property pairs; fields the document does not record are ''. Names are matched case-insensitively because
+// pdf.js lowercases XMP property names.
+export const parseLabelProperties = (properties) => {
+  const labels = new Map();
+  properties.forEach(([key, value]) => {
+    const match = LABEL_PROPERTY.exec(String(key ?? '').trim());
+    const field = match && LABEL_FIELDS[match[2].toLowerCase()];
+    if (!field) {
+      return;
+    }
+    const id = normalizeId(match[1]);
+    labels.set(id, { ...labels.get(id), id, [field]: String(value ?? '').trim() });
+  });
+  return Array.from(labels.values())
+    .filter((label) => /^(true|1)$/i.test(label.enabled ?? ''))
+    .map(({ enabled, id, ...fields }) => ({
+      id,
+      name: '',
+      method: '',
+      setDate: '',
+      siteId: '',
+      actionId: '',
+      contentBits: '',
+      ...fields
+    }));
+};
+
+// The msip_labels mail header lists the same properties as `name=value` pairs separated by semicolons.
+export const parseLabelHeader = (value = '') => parseLabelProperties(value.split(';').map((pair) => {
+  const equals = pair.indexOf('=');
+  return equals < 0 ? [pair, ''] : [pair.slice(0, equals), pair.slice(equals + 1)];
+}));
+
+const flattenTenantLabels = (labels) => labels
+  .flatMap((label) => [label, ...flattenTenantLabels(label.sublabels ?? [])]);
+
+// Adds `displayName` and `resolved` from the tenant's labels (as listed by Graph's sensitivityLabels). Labels the
+// tenant does not know keep the name stamped in the document, or their id.
+export const resolveSensitivityLabels = (labels, tenantLabels = []) => {
+  const byId = new Map(flattenTenantLabels(tenantLabels).map((label) => [normalizeId(label.id), label]));
+  return labels.map((label) => {
+    const match = byId.get(normalizeId(label.id));
+    return { ...label, displayName: match?.name || label.name || label.id, resolved: Boolean(match) };
+  });
+};
+
+// The labels as contentInfo metadata for evaluateClassificationResults, so the evaluation sees the current label.
+export const toLabelMetadata = (labels) => labels.flatMap((label) => [
+  ['Enabled', 'True'],
+  ['SetDate', label.setDate],
+  ['Method', label.method],
+  ['Name', label.name],
+  ['SiteId', label.siteId],
+  ['ActionId', label.actionId],
+  ['ContentBits', label.contentBits]
+]
+  .filter(([, value]) => value)
+  .map(([field, value]) => ({
+    '@odata.type': '#microsoft.graph.security.keyValuePair',
+    name: `MSIP_Label_${label.id}_${field}`,
+    value
+  })));
+
+// Labels named by the actions evaluateClassificationResults returns (applyLabelAction, recommendLabelAction, ...),
+// as { id, name, action }.
+export const getRecommendedLabels = (response) => (response?.value ?? [])
+  .filter((action) => action?.label?.id || action?.sensitivityLabelId)
+  .map((action) => ({
+    id: normalizeId(action.label?.id ?? action.sensitivityLabelId),
+    name: action.label?.name ?? '',
+    action: String(action['@odata.type'] ?? '').split('.').pop()
+  }));